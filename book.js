@@ -23,6 +23,7 @@ var sT = setTimeout, B = sT.Book || (sT.Book = function(text){
 	b.page = page;
 	b.set = set;
 	b.get = get;
+	b.remove = remove;
 	b.all = {};
 	return b;
 }), PAGE = 2**12;
@@ -101,6 +102,24 @@ function set(word, is){
 	return b;
 }
 
+function remove(word){
+	var b = this, has, page, l, i;
+	b.get(word = ''+word); // parseless pages only know a word once it has been read.
+	if(!(has = b.all[word])){ return b }
+	page = has.page || b.page(word);
+	if(page.limbo && 0 <= (i = page.limbo.indexOf(has))){
+		page.limbo.splice(i, 1);
+	} else
+	if(0 <= (i = (l = from(page) || []).indexOf(has))){
+		l.splice(i, 1);
+	}
+	delete b.all[word];
+	page.size -= size(word) + size(has.is);
+	page.text = '';
+	merge(page, b);
+	return b;
+}
+
 function split(p, b){ // TODO: use closest hash instead of half.
 	//console.time();
 	var L = sort(p), l = L.length, i = l/2 >> 0, j = i, half = L[j], tmp;
@@ -109,7 +128,7 @@ function split(p, b){ // TODO: use closest hash instead of half.
 	//console.time();
 	while(tmp = L[i++]){
 		f.push(tmp);
-		next.size += (tmp.is||'').length||1;
+		next.size += size(tmp.word) + size(tmp.is); // same as set counts, so remove can take it back off.
 		tmp.page = next;
 	}
 	//console.timeEnd(); console.time();
@@ -120,6 +139,26 @@ function split(p, b){ // TODO: use closest hash instead of half.
 	if(b.split){ b.split(next, p) }
 }
 
+function merge(p, b){ // undo split: drop empty pages, fold small ones into a neighbour.
+	var L = b.list, i = L.indexOf(p), into, gone, f;
+	if(L.length < 2 || i < 0){ return }
+	if(!sort(p).length){
+		L.splice(i, 1); // its words now belong to the page before (or after, if it was first).
+		if(b.merge){ b.merge(L[i-1] || L[0], p) }
+		return;
+	}
+	into = i? L[i-1] : p; gone = i? p : L[i+1];
+	if('string' == typeof into || 'string' == typeof gone || into.size < 0 || gone.size < 0){ return } // unknown sizes, leave be.
+	if((b.PAGE || PAGE)/4 <= p.size || (b.PAGE || PAGE) < into.size + gone.size){ return } // not small, or would split again.
+	f = sort(into).concat(sort(gone)); // both sorted, and every word on `into` comes first.
+	f.forEach(function(t){ if('string' != typeof t){ t.page = into } });
+	into.from = f;
+	into.size += gone.size;
+	into.text = '';
+	L.splice(L.indexOf(gone), 1);
+	if(b.merge){ b.merge(into, gone) }
+}
+
 function slot(t){ return heal((t=t||'').substring(1, t.length-1).split(t[0]), t[0]) } B.slot = slot; // TODO: check first=last & pass `s`.
 function heal(l, s){ var i, e;
 	if(0 > (i = l.indexOf(''))){ return l } // ~700M ops/sec on 4KB of Math.random()s, even faster if escape does exist.
@@ -257,91 +296,887 @@ function getContext(text, index, length){
 	return pre + text.substring(start, end) + post;
 }
 
-// Word-based search with inverted index
-B.index = function(book){
-	var index = {};
+// Word-based search with inverted index: word -> [{key, value, pos}], one posting per
+// entry with the positions of the word in "key value" (for phrases and NEAR). Words come
+// from `analyzer` (see B.analyzer), which the index remembers for searching it.
+// The index keeps itself up to date as entries change, without indexing the rest again:
+//   index.add(key, value)     index an entry (merged indexes can repeat a key)
+//   index.remove(key, value)  drop the entry, or every entry with that key
+//   index.update(key, value)  the key's value is now this one
+// Read its words with B.words and B.postings rather than from the object itself.
+B.index = function(book, analyzer){
+	var index = updatable(B.analyzed({}, analyzer || null));
 	
 	book.list.forEach(function(page){
 		var items = sort(page);
 		items.forEach(function(item){
 			var word = item.word || B.decode(''+item) || '';
 			var value = (typeof item.is !== 'undefined') ? item.is : B.decode(slot(''+item)[1]);
-			var text = (word + ' ' + value).toLowerCase();
-			var words = text.split(/\s+/);
-			
-			words.forEach(function(w){
-				w = w.replace(/[^\w]/g, '');
-				if(w.length < 2){ return }
-				if(!index[w]){ index[w] = [] }
-				index[w].push({key: word, value: value});
+			insert(index, word, value);
+		});
+	});
+	
+	return index;
+}
+
+// Give `index` its add, remove and update methods. Words by those names are kept in
+// '#words' instead, so they don't hide them; toJSON puts them back for JSON.stringify.
+function updatable(index){
+	if(index['#words']){ return index }
+	var aside = Object.create(null);
+	Object.keys(METHODS).forEach(function(w){
+		if(own.call(index, w)){ aside[w] = index[w]; delete index[w] }
+	});
+	Object.defineProperty(index, '#words', {value: aside, configurable: true});
+	[['add', function(key, value){
+		key = '' + key;
+		if(!(keyed(index).get(key) || []).some(function(e){ return e.value === value })){ insert(index, key, value) }
+		return index;
+	}], ['remove', function(key, value){
+		key = '' + key;
+		(keyed(index).get(key) || []).filter(function(e){ return value === undefined || e.value === value }).forEach(function(e){ unindex(index, key, e) });
+		return index;
+	}], ['update', function(key, value){
+		return index.remove(key).add(key, value);
+	}], ['toJSON', function(){
+		var plain = {};
+		vocab(index).forEach(function(w){ plain[w] = postings(index, w) });
+		return plain;
+	}]].forEach(function(m){
+		Object.defineProperty(index, m[0], {value: m[1], configurable: true}); // Not enumerable
+	});
+	return index;
+}
+var own = Object.prototype.hasOwnProperty, METHODS = {add: 1, remove: 1, update: 1, toJSON: 1};
+
+// Every indexed word, and the postings for word `w` ([] if it isn't indexed)
+B.words = function(index){ return vocab(index) }
+B.postings = function(index, w){ return postings(index, w) || [] }
+
+// The postings for word `w`, and every indexed word
+function postings(index, w){
+	var at = own.call(METHODS, w) && index['#words'] || index;
+	return own.call(at, w)? at[w] : undefined;
+}
+function vocab(index){
+	var list = Object.keys(index);
+	return index['#words']? list.concat(Object.keys(index['#words'])) : list;
+}
+function store(index, w, list){
+	var at = own.call(METHODS, w) && index['#words'] || index;
+	if(list){ at[w] = list } else { delete at[w] }
+}
+
+// Index one entry, keeping the stats, fuzzy search's word list and the entry list
+// current if they have been worked out
+function insert(index, key, value){
+	var mine = Object.create(null), st = index['#stats'], grams = index['#grams'], keys = index['#keys'], n = 0;
+	var entry = {value: value, words: [], items: []};
+	B.analyzed(index).tokens(key + ' ' + value).forEach(function(w, p){
+		if(!w){ return }
+		if(!mine[w]){
+			var list = postings(index, w);
+			if(!list){
+				store(index, w, list = []);
+				if(grams){ bigrams(w).forEach(function(g){ (grams.get(g) || grams.set(g, []).get(g)).push(w) }) }
+			}
+			list.push(mine[w] = {key: key, value: value, pos: []});
+			entry.words.push(w);
+			entry.items.push(mine[w]);
+		}
+		mine[w].pos.push(p);
+		n++;
+	});
+	if(keys){ (keys.get(key) || keys.set(key, []).get(key)).push(entry) }
+	if(st && n){
+		st.length.set(entry.items[0], n);
+		st.docs++;
+		st.words += n;
+		st.avg = st.words / st.docs;
+	}
+}
+
+// Take out an entry's postings (as listed by keyed) and the words left without any
+function unindex(index, key, entry){
+	var st = index['#stats'], grams = index['#grams'], keys = keyed(index);
+	entry.words.forEach(function(w, i){
+		var list = postings(index, w) || [], at = list.indexOf(entry.items[i]);
+		if(at >= 0){ list.splice(at, 1) }
+		if(list.length){ return }
+		store(index, w, null);
+		if(grams){
+			bigrams(w).forEach(function(g){
+				var words = (grams.get(g) || []).filter(function(x){ return x !== w });
+				if(words.length){ grams.set(g, words) } else { grams.delete(g) }
 			});
+		}
+	});
+	var left = (keys.get(key) || []).filter(function(e){ return e !== entry });
+	if(left.length){ keys.set(key, left) } else { keys.delete(key) }
+	var n = st && entry.items.length && st.length.get(entry.items[0]);
+	if(n){
+		st.length.remove(entry.items[0]);
+		st.docs--;
+		st.words -= n;
+		st.avg = st.docs? st.words / st.docs : 0;
+	}
+}
+
+// key -> [{value, words, items}]: the entries with that key and their postings, worked
+// out from the whole index on the first add or remove and kept up to date after that
+function keyed(index){
+	if(index['#keys']){ return index['#keys'] }
+	var keys = new Map(), found = entries();
+	vocab(index).forEach(function(w){
+		postings(index, w).forEach(function(item){
+			var entry = found.get(item);
+			if(!entry){
+				found.set(item, entry = {value: item.value, words: [], items: []});
+				(keys.get(item.key) || keys.set(item.key, []).get(item.key)).push(entry);
+			}
+			entry.words.push(w);
+			entry.items.push(item);
 		});
 	});
+	Object.defineProperty(index, '#keys', {value: keys, configurable: true});
+	return keys;
+}
+
+// How text becomes indexed words. `config` (plain JSON, so it can be kept with a dataset
+// and sent to peers) has:
+//   tokenizer  'ascii' (default): split on spaces and drop anything but a-z, 0-9 and _;
+//              'unicode': the same, but keeping letters and digits of every script
+//   minLength  shorter words aren't indexed (default 2)
+//   stopWords  'english' or a list of words not to index (default none)
+//   stemmer    'porter' to index English words by their stem, so "loved" finds "loves"
+//   ngrams     n > 0 splits runs of Chinese, Japanese or Korean characters, which aren't
+//              separated by spaces, into overlapping n-character words (unicode only)
+// Returns {config, tokens(text)}: tokens gives the indexed words by position, '' where
+// a word isn't indexed, so phrases keep their gaps. The default is how indexes were
+// always built.
+B.analyzer = function(config){
+	if(config && config.tokens){ return config }
+	config = config || {};
+	var c = {
+		tokenizer: config.tokenizer || 'ascii',
+		minLength: typeof config.minLength === 'number'? config.minLength : 2,
+		stopWords: config.stopWords || null,
+		stemmer: config.stemmer || null,
+		ngrams: config.ngrams || 0
+	};
+	if(c.tokenizer !== 'ascii' && c.tokenizer !== 'unicode'){ throw new Error('Unknown tokenizer: ' + c.tokenizer) }
+	if(c.stemmer && c.stemmer !== 'porter'){ throw new Error('Unknown stemmer: ' + c.stemmer) }
+	if(c.stopWords && c.stopWords !== 'english' && !Array.isArray(c.stopWords)){ throw new Error('stopWords must be "english" or a list') }
 	
+	var id = JSON.stringify(c);
+	if(analyzers[id]){ return analyzers[id] }
+	var stop = Object.create(null), stem = c.stemmer === 'porter'? B.porter : null;
+	(c.stopWords === 'english'? STOP_WORDS : c.stopWords || []).forEach(function(w){ stop[('' + w).toLowerCase()] = true });
+	var a = {
+		config: c,
+		id: id,
+		tokens: function(text){
+			return a.words(text).map(function(w){ return !w || stop[w]? '' : stem? stem(w) : w });
+		},
+		// Lower case words before stop words and stemming (prefix searches match these)
+		words: function(text){ return c.tokenizer === 'unicode'? unicode(text, c) : ascii(text, c) }
+	};
+	return analyzers[id] = a;
+}
+var analyzers = {};
+
+// The analyzer `index` was built with, or record it on an index restored from storage
+B.analyzed = function(index, analyzer){
+	if(analyzer === undefined){ return index['#analyzer'] || B.analyzer() }
+	Object.defineProperty(index, '#analyzer', {value: B.analyzer(analyzer), configurable: true}); // Not enumerable, and never a word
 	return index;
 }
 
+// The common English words Lucene leaves out
+var STOP_WORDS = ['a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it', 'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'will', 'with'];
+
+function ascii(text, c){
+	return ('' + text).toLowerCase().split(/\s+/).map(function(w){
+		w = w.replace(/[^\w]/g, '');
+		return w.length < c.minLength? '' : w;
+	});
+}
+
+var CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/u;
+function unicode(text, c){
+	var out = [];
+	('' + text).normalize('NFC').toLowerCase().split(/\s+/).forEach(function(w){
+		w = w.replace(/[^\p{L}\p{M}\p{N}_]/gu, '');
+		if(!c.ngrams || !CJK.test(w)){
+			out.push(w.length < c.minLength? '' : w);
+			return;
+		}
+		// Words around and between the CJK runs, and the runs in n-character pieces
+		w.split(new RegExp('(' + CJK.source + ')', 'u')).forEach(function(part, i){
+			if(!part){ return }
+			if(i % 2 === 0){ out.push(part.length < c.minLength? '' : part); return }
+			var chars = Array.from(part);
+			if(chars.length <= c.ngrams){ out.push(part); return }
+			for(var j = 0; j + c.ngrams <= chars.length; j++){
+				out.push(chars.slice(j, j + c.ngrams).join(''));
+			}
+		});
+	});
+	return out;
+}
+
+// Porter's English stemmer (1980): "loved", "loves" and "loving" all become "love"
+B.porter = function(w){
+	if(w.length < 3 || !/^[a-z]+$/.test(w)){ return w }
+	var m, stem, y = w[0] === 'y';
+	if(y){ w = 'Y' + w.substr(1) } // A leading y is a consonant
+	
+	// Step 1: plurals, -ed and -ing, y -> i
+	if(m = /^(.+?)(ss|i)es$/.exec(w)){ w = m[1] + m[2] }
+	else if(m = /^(.+?)([^s])s$/.exec(w)){ w = m[1] + m[2] }
+	if(m = /^(.+?)eed$/.exec(w)){
+		if(MGR0.test(m[1])){ w = w.slice(0, -1) }
+	} else if((m = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(m[1])){
+		w = m[1];
+		if(/(at|bl|iz)$/.test(w)){ w += 'e' }
+		else if(/([^aeiouylsz])\1$/.test(w)){ w = w.slice(0, -1) }
+		else if(CVC.test(w)){ w += 'e' }
+	}
+	if((m = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(m[1])){ w = m[1] + 'i' }
+	
+	// Steps 2 and 3: double and single suffixes
+	if((m = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w)) && MGR0.test(m[1])){
+		w = m[1] + STEP2[m[2]];
+	}
+	if((m = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w)) && MGR0.test(m[1])){
+		w = m[1] + STEP3[m[2]];
+	}
+	
+	// Step 4: -ant, -ence and so on, on longer stems
+	if(m = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w)){
+		if(MGR1.test(m[1])){ w = m[1] }
+	} else if((m = /^(.+?)(s|t)(ion)$/.exec(w)) && MGR1.test(stem = m[1] + m[2])){
+		w = stem;
+	}
+	
+	// Step 5: a final -e, and -ll
+	if(m = /^(.+?)e$/.exec(w)){
+		if(MGR1.test(m[1]) || (MEQ1.test(m[1]) && !CVC.test(m[1]))){ w = m[1] }
+	}
+	if(/ll$/.test(w) && MGR1.test(w)){ w = w.slice(0, -1) }
+	
+	return y? 'y' + w.substr(1) : w;
+}
+var PC = '[^aeiou][^aeiouy]*', PV = '[aeiouy][aeiou]*';
+var MGR0 = new RegExp('^(' + PC + ')?' + PV + PC); // Measure > 0
+var MEQ1 = new RegExp('^(' + PC + ')?' + PV + PC + '(' + PV + ')?$'); // Measure = 1
+var MGR1 = new RegExp('^(' + PC + ')?' + PV + PC + PV + PC); // Measure > 1
+var HAS_VOWEL = new RegExp('^(' + PC + ')?[aeiouy]');
+var CVC = new RegExp('^' + PC + '[aeiouy][^aeiouwxy]$');
+var STEP2 = {ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'};
+var STEP3 = {icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''};
+
+// Search an index with the query language (see B.parseQuery), or a query B.parseQuery already
+// parsed. Query words go through the index's analyzer, or opts.analyzer if given.
 B.searchIndex = function(index, query, opts){
 	opts = opts || {};
-	var maxResults = opts.maxResults || 100;
-	var words = query.toLowerCase().split(/\s+/).map(function(w){
-		return w.replace(/[^\w]/g, '');
-	}).filter(function(w){ return w.length >= 2 });
+	var a = B.analyzer(opts.analyzer || B.analyzed(index)), q = B.query(query, a);
+	if(!q){ return B.page([], opts) }
 	
-	if(words.length === 0){ return [] }
+	var words = terms(index, q), ranked = B.rank(index, words, evaluate(index, q, a));
+	if(opts.fuzzy){ ranked = ranked.concat(fuzzy(index, q, opts.fuzzy, ranked, a)) }
 	
-	// For multi-word queries, find verses containing ALL words (AND logic)
-	if(words.length > 1){
-		var firstWord = words[0];
-		if(!index[firstWord]){ return [] }
-		
-		var candidates = index[firstWord];
-		var results = [];
-		
-		// Check each candidate verse to see if it contains all query words
-		for(var i = 0; i < candidates.length && results.length < maxResults; i++){
-			var item = candidates[i];
-			var fullText = (item.key + ' ' + item.value).toLowerCase();
-			var hasAll = true;
-			
-			for(var j = 1; j < words.length; j++){
-				if(fullText.indexOf(words[j]) === -1){
-					hasAll = false;
-					break;
-				}
-			}
-			
-			if(hasAll){
-				results.push(item);
+	// Plain words with no results together: settle for entries with any of them
+	if(ranked.length === 0 && q.loose){
+		ranked = B.rank(index, words, evaluate(index, {op: 'or', args: q.args}, a));
+	}
+	
+	return B.page(ranked, opts);
+}
+
+// Entries with words containing the query's word, for when a single word (3 letters or
+// more) matches too little: it may be part of longer words. Each matching word is ranked
+// with BM25 and weighted by where the query sits in it (start 1, end 0.8, anywhere else
+// 0.6); an entry keeps its best score, and the word that gave it as `matchedWord`.
+// Other queries get no results. `query` and `opts` are as for B.searchIndex.
+B.searchSubstring = function(index, query, opts){
+	opts = opts || {};
+	var q = B.query(query, B.analyzer(opts.analyzer || B.analyzed(index)));
+	if(!q || q.op !== 'word' || q.field || q.prefix || q.word.length < 3){ return B.page([], opts) }
+	
+	var part = q.word, best = new Map();
+	B.words(index).forEach(function(w){
+		var at = w.indexOf(part);
+		if(at < 0){ return }
+		var weight = at === 0? 1 : at === w.length - part.length? 0.8 : 0.6;
+		B.rank(index, [w], postings(index, w)).forEach(function(item){
+			var score = item.score * weight, had = best.get(item.key);
+			if(!had || score > had.score){ best.set(item.key, {key: item.key, value: item.value, score: score, matchedWord: w}) }
+		});
+	});
+	var list = Array.from(best.values());
+	list.sort(function(x, y){ return y.score - x.score });
+	return B.page(list, opts);
+}
+
+// BM25 relevance: each of `items` (postings from `index`) once, as {key, value, score},
+// best first. Words repeat in a posting list once per occurrence, which gives the term
+// frequency; rarer words and shorter entries count for more. `weights` (optional, word ->
+// factor) counts some words for less, such as misspellings fuzzy search stood in for.
+B.BM25 = {k1: 1.2, b: 0.75};
+B.rank = function(index, words, items, weights){
+	var st = B.stats(index), k1 = B.BM25.k1, b = B.BM25.b;
+	var terms = words.map(function(w){
+		var tf = entries(), n = 0;
+		(postings(index, w) || []).forEach(function(item){
+			if(!tf.get(item)){ n++ }
+			tf.add(item, count(item));
+		});
+		return {tf: tf, idf: Math.log(1 + (st.docs - n + 0.5) / (n + 0.5)) * ((weights && weights[w]) || 1)};
+	});
+	var seen = entries(), ranked = [];
+	items.forEach(function(item){
+		if(seen.get(item)){ return }
+		seen.add(item, 1);
+		var norm = k1 * (1 - b + b * (st.length.get(item) || 0) / (st.avg || 1)), score = 0;
+		terms.forEach(function(t){
+			var tf = t.tf.get(item);
+			if(tf){ score += t.idf * tf * (k1 + 1) / (tf + norm) }
+		});
+		ranked.push({key: item.key, value: item.value, score: score, i: ranked.length});
+	});
+	ranked.sort(function(x, y){ return (y.score - x.score) || (x.i - y.i) });
+	ranked.forEach(function(r){ delete r.i });
+	return ranked;
+}
+
+// Entry count and lengths (in indexed words) for ranking, worked out on first use and
+// kept on the index.
+B.stats = function(index){
+	if(index['#stats']){ return index['#stats'] }
+	var length = entries(), docs = 0, words = 0;
+	vocab(index).forEach(function(w){
+		postings(index, w).forEach(function(item){
+			if(!length.get(item)){ docs++ }
+			length.add(item, count(item));
+			words += count(item);
+		});
+	});
+	var st = {docs: docs, words: words, length: length, avg: docs? words / docs : 0};
+	Object.defineProperty(index, '#stats', {value: st, configurable: true}); // Not enumerable, and never a word
+	return st;
+}
+
+// Forget the stats (and fuzzy search's word list) after changing an index by hand rather
+// than with its add, remove and update; the next search works them out again.
+B.stale = function(index){ delete index['#stats']; delete index['#grams']; delete index['#keys'] }
+
+// Occurrences in a posting. Indexes built before positions had one posting per occurrence.
+function count(item){ return item.pos? item.pos.length : 1 }
+
+// Values per entry. An entry is its key and value together: merged indexes (one Book per
+// file, say) can repeat a key with different values.
+function entries(){
+	var keys = new Map();
+	var map = {
+		get: function(item){ var v = keys.get(item.key); return v && v.get(item.value) },
+		set: function(item, val){
+			var v = keys.get(item.key);
+			if(!v){ keys.set(item.key, v = new Map()) }
+			v.set(item.value, val);
+			return val;
+		},
+		remove: function(item){
+			var v = keys.get(item.key);
+			if(v && v.delete(item.value) && !v.size){ keys.delete(item.key) }
+		},
+		add: function(item, n){ return map.set(item, (map.get(item) || 0) + n) }
+	};
+	return map;
+}
+
+// An index as compact, plain JSON for storing (IndexedDB, disk) or sending to peers, so
+// it can be built once and loaded anywhere with B.loadIndex:
+//   {format: 'book-index', version: 1, analyzer, docs: [key, value, key, value, ...], words}
+// Each entry's key and value are kept once in `docs`; `words` maps every word to its
+// postings as base64 VLQ numbers (as in source maps): per posting the change in entry
+// number (zigzag, so any order survives), how many positions (0 for postings without),
+// then the first position and the gaps to the next ones.
+B.serializeIndex = function(index){
+	var ids = entries(), docs = [], words = {};
+	vocab(index).forEach(function(w){
+		var out = '', last = 0;
+		postings(index, w).forEach(function(item){
+			var id = ids.get(item);
+			if(id === undefined){ id = ids.set(item, docs.length / 2); docs.push(item.key, item.value) }
+			out += vlq(id >= last? (id - last) * 2 : (last - id) * 2 - 1);
+			last = id;
+			var pos = item.pos || [];
+			out += vlq(pos.length);
+			pos.forEach(function(p, i){ out += vlq(i? p - pos[i - 1] : p) });
+		});
+		words[w] = out;
+	});
+	return {format: 'book-index', version: 1, analyzer: B.analyzed(index).config, docs: docs, words: words};
+}
+
+// An index from B.serializeIndex (or its JSON text), ready to search and update. Indexes
+// stored as plain word -> postings objects before there was a format come back as they
+// are, with `analyzer` recorded since they don't carry one.
+B.loadIndex = function(data, analyzer){
+	if(typeof data === 'string'){ data = JSON.parse(data) }
+	if(!data || data.format !== 'book-index'){ return updatable(B.analyzed(data || {}, analyzer || null)) }
+	if(data.version !== 1){ throw new Error('Unsupported index version: ' + data.version) }
+	var index = updatable(B.analyzed({}, data.analyzer || null)), docs = data.docs;
+	Object.keys(data.words).forEach(function(w){
+		var s = data.words[w], at = {i: 0}, id = 0, list = [];
+		store(index, w, list);
+		while(at.i < s.length){
+			var z = unvlq(s, at), n = unvlq(s, at), p = 0, item;
+			id += z % 2? -(z + 1) / 2 : z / 2;
+			item = {key: docs[id * 2], value: docs[id * 2 + 1]};
+			if(n){
+				item.pos = [];
+				while(n--){ item.pos.push(p += unvlq(s, at)) }
 			}
+			list.push(item);
 		}
-		
-		// If no exact matches, fall back to OR search (any word match)
-		if(results.length === 0){
-			var seen = {};
-			for(var w = 0; w < words.length && results.length < maxResults; w++){
-				var wordResults = index[words[w]] || [];
-				for(var i = 0; i < wordResults.length && results.length < maxResults; i++){
-					var key = wordResults[i].key;
-					if(!seen[key]){
-						seen[key] = true;
-						results.push(wordResults[i]);
-					}
-				}
-			}
+	});
+	return index;
+}
+
+// Numbers as base64 digits of 5 bits each, low bits first; the 6th bit says more follow
+var VLQ = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/', UNVLQ = {};
+VLQ.split('').forEach(function(c, i){ UNVLQ[c] = i });
+function vlq(n){
+	var out = '';
+	do {
+		var d = n % 32;
+		n = Math.floor(n / 32);
+		out += VLQ[n? d + 32 : d];
+	} while(n);
+	return out;
+}
+function unvlq(s, at){
+	var n = 0, scale = 1, d;
+	do {
+		d = UNVLQ[s[at.i++]];
+		if(d === undefined){ throw new Error('Corrupt index postings') }
+		n += (d % 32) * scale;
+		scale *= 32;
+	} while(d >= 32);
+	return n;
+}
+
+// The query language, parsed into plain JSON so it can be sent to other peers and
+// evaluated the same way there:
+//   faith hope            both words (AND is implied)
+//   faith OR hope         either word
+//   faith -fear           faith, but not fear (also: faith AND NOT fear)
+//   (faith OR hope) love  parentheses group
+//   "let there be light"  the exact phrase
+//   light NEAR/3 darkness both within 3 words of each other
+//   key:john value:light  only in the entry's key, or only in its value
+//   bless*                any word starting with "bless"
+// Operators are upper case; "and", "or" and "not" are searched for as words. Words are
+// analyzed with `analyzer` (the default if not given), which the query records unless
+// it's the default. Returns null when nothing in the query can be searched for.
+B.parseQuery = function(query, analyzer){
+	var a = B.analyzer(analyzer), list = lex('' + query, a), i = 0, explicit = false;
+	function peek(){ return list[i] }
+	function or(){
+		var args = [and()];
+		while(peek() && peek().op === 'OR'){ i++; args.push(and()) }
+		return node('or', args);
+	}
+	function and(){
+		var args = [];
+		while(peek() && peek().paren !== ')' && peek().op !== 'OR'){
+			if(peek().op === 'AND'){ explicit = true; i++; continue }
+			args.push(not());
+		}
+		return node('and', args);
+	}
+	function not(){
+		if(peek() && peek().op === 'NOT'){ i++; explicit = true; var arg = not(); return arg && {op: 'not', arg: arg} }
+		return near();
+	}
+	function near(){
+		var left = primary(), t;
+		while((t = peek()) && t.near !== undefined){
+			i++;
+			var right = primary();
+			if(!left || !right){ left = left || right; continue }
+			explicit = true;
+			if(!positional(left) || !positional(right)){ left = node('and', [left, right]); continue }
+			if(left.op !== 'near'){ left = {op: 'near', args: [left], within: []} }
+			left.args.push(right);
+			left.within.push(t.near);
+		}
+		return left;
+	}
+	function primary(){
+		var t = list[i++], n = null;
+		if(!t){ return null }
+		if(t.paren === '('){
+			n = or();
+			if(peek() && peek().paren === ')'){ i++ }
+			explicit = true;
+		} else if(t.term){
+			n = t.term;
+		} else if(t.op){ // An operator with nothing to work on; skip it
+			return primary();
+		}
+		if(n && t.neg){ explicit = true; return {op: 'not', arg: n} }
+		return n;
+	}
+	
+	var q = null;
+	while(i < list.length){ // Stray ")" ends or() early; carry on after it
+		var part = or();
+		q = q && part? node('and', [q, part]) : q || part;
+		if(peek() && peek().paren === ')'){ i++ }
+	}
+	if(q && !explicit && q.op === 'and' && q.args.every(function(a){ return a.op === 'word' && !a.field && !a.prefix })){
+		q.loose = true;
+	}
+	if(q && a.id !== B.analyzer().id){ q.analyzer = a.config }
+	return q;
+}
+
+// Check a parsed query from elsewhere (or parse a string); null if it's unusable, or was
+// analyzed differently from `analyzer` (when given), in which case parse the string again
+B.query = function(query, analyzer){
+	if(typeof query === 'string'){ return B.parseQuery(query, analyzer) }
+	if(!valid(query, 0)){ return null }
+	if(analyzer === undefined){ return query }
+	try {
+		return B.analyzer(query.analyzer).id === B.analyzer(analyzer).id? query : null;
+	} catch(e){ return null } // An analyzer we don't have
+}
+
+function valid(n, depth){
+	if(!n || typeof n !== 'object' || depth > 32){ return false }
+	if(n.field !== undefined && n.field !== 'key' && n.field !== 'value'){ return false }
+	switch(n.op){
+		case 'word': return typeof n.word === 'string' && n.word.length > 0;
+		case 'phrase': return Array.isArray(n.words) && n.words.length > 0 && n.words.every(function(t){
+			return t && typeof t.w === 'string' && typeof t.at === 'number';
+		});
+		case 'near': return Array.isArray(n.args) && Array.isArray(n.within) && n.within.length === n.args.length - 1 &&
+			n.args.every(function(a){ return positional(a) && valid(a, depth + 1) }) &&
+			n.within.every(function(w){ return typeof w === 'number' && w >= 0 });
+		case 'and': case 'or': return Array.isArray(n.args) && n.args.length > 0 && n.args.every(function(a){ return valid(a, depth + 1) });
+		case 'not': return valid(n.arg, depth + 1);
+	}
+	return false;
+}
+
+function node(op, args){
+	args = args.filter(function(a){ return a });
+	if(args.length < 2){ return args[0] || null }
+	return {op: op, args: args};
+}
+
+function positional(n){ return n.op === 'word' || n.op === 'phrase' }
+
+// Query tokens: {paren}, {op: 'AND'|'OR'|'NOT'}, {near: n} or {term, neg}
+function lex(query, a){
+	var list = [], m, re = /\s*(?:(-?)(\()|(\))|(-?)(?:(key|value):)?(?:"([^"]*)"?|([^\s()"]+)))/gi;
+	while(m = re.exec(query)){
+		if(m[2]){ list.push({paren: '(', neg: !!m[1]}); continue }
+		if(m[3]){ list.push({paren: ')'}); continue }
+		var bare = m[7], field = m[5] && m[5].toLowerCase(), op;
+		if(bare !== undefined && !m[4] && !field){
+			if(/^(AND|OR|NOT)$/.test(bare)){ list.push({op: bare}); continue }
+			if(op = /^NEAR\/(\d+)$/i.exec(bare)){ list.push({near: parseInt(op[1], 10)}); continue }
+		}
+		var words = [], prefix = bare !== undefined && /\*$/.test(bare);
+		(prefix? a.words(bare) : a.tokens(bare !== undefined? bare : m[6])).forEach(function(w, at){
+			if(w){ words.push({w: w, at: at}) }
+		});
+		var term = null;
+		if(prefix && words.length === 1){
+			term = {op: 'word', word: words[0].w, prefix: true};
+		} else if(words.length === 1){
+			term = {op: 'word', word: words[0].w};
+		} else if(words.length > 1){
+			term = {op: 'phrase', words: words};
+		}
+		if(term && field){ term.field = field }
+		list.push({term: term, neg: !!m[4]});
+	}
+	return list;
+}
+
+// Words to rank by: every searched-for word that isn't negated, prefixes expanded
+function terms(index, n, out){
+	out = out || [];
+	if(n.op === 'not'){ return out }
+	var add = function(w){ if(out.indexOf(w) < 0){ out.push(w) } };
+	if(n.op === 'word'){ (n.prefix? vocabulary(index, n.word) : [n.word]).forEach(add) }
+	if(n.op === 'phrase'){ n.words.forEach(function(t){ add(t.w) }) }
+	(n.args || []).forEach(function(a){ terms(index, a, out) });
+	return out;
+}
+
+// Indexed words starting with `prefix`
+function vocabulary(index, prefix){
+	return vocab(index).filter(function(w){ return w.indexOf(prefix) === 0 });
+}
+
+// Postings (one per entry) matching a parsed query
+function evaluate(index, q, a){
+	var cache = Object.create(null), keys = entries(), all;
+	
+	function positions(w, item){ // Where w occurs in the entry
+		var pos = cache[w];
+		if(!pos){
+			pos = cache[w] = entries();
+			(postings(index, w) || []).forEach(function(post){
+				// Older indexes have no positions: find them in the entry's text
+				pos.set(post, post.pos || a.tokens(post.key + ' ' + post.value).reduce(function(at, t, p){
+					if(t === w){ at.push(p) }
+					return at;
+				}, []));
+			});
+		}
+		return pos.get(item) || [];
+	}
+	function inField(field, item, p){ // Key words come first in "key value"
+		if(!field){ return true }
+		var n = keys.get(item);
+		if(n === undefined){ n = keys.set(item, a.tokens(item.key).length) }
+		return field === 'key'? p < n : p >= n;
+	}
+	function spans(n, item){ // [first, last] position of each occurrence of a word or phrase
+		if(n.op === 'word'){
+			var pos = [];
+			(n.prefix? vocabulary(index, n.word) : [n.word]).forEach(function(w){
+				positions(w, item).forEach(function(p){ if(inField(n.field, item, p)){ pos.push([p, p]) } });
+			});
+			return pos;
+		}
+		var first = n.words[0], last = n.words[n.words.length - 1];
+		return positions(first.w, item).filter(function(p){
+			return inField(n.field, item, p) && inField(n.field, item, p + last.at - first.at) && n.words.every(function(t){
+				return positions(t.w, item).indexOf(p + t.at - first.at) >= 0;
+			});
+		}).map(function(p){ return [p, p + last.at - first.at] });
+	}
+	function close(a, b, within){ // Some occurrences of a and b at most `within` words apart
+		return a.some(function(x){
+			return b.some(function(y){
+				return (y[0] > x[1]? y[0] - x[1] : x[0] > y[1]? x[0] - y[1] : 0) <= within;
+			});
+		});
+	}
+	function candidates(n){ // Postings that might match a word, phrase or NEAR
+		if(n.op === 'near'){ return candidates(n.args[0]) }
+		var words = n.op === 'phrase'? [n.words[0].w] : n.prefix? vocabulary(index, n.word) : [n.word];
+		var list = [];
+		words.forEach(function(w){ list = list.concat(postings(index, w) || []) });
+		return list;
+	}
+	function matches(n, item){
+		if(n.op !== 'near'){ return spans(n, item).length > 0 }
+		for(var i = 0; i < n.within.length; i++){
+			if(!close(spans(n.args[i], item), spans(n.args[i + 1], item), n.within[i])){ return false }
+		}
+		return true;
+	}
+	function unique(list){
+		var seen = entries();
+		return list.filter(function(item){
+			if(seen.get(item)){ return false }
+			seen.set(item, true);
+			return true;
+		});
+	}
+	function set(list){
+		var has = entries();
+		list.forEach(function(item){ has.set(item, true) });
+		return has;
+	}
+	function everything(){
+		if(!all){
+			all = [];
+			vocab(index).forEach(function(w){ all = all.concat(postings(index, w)) });
+			all = unique(all);
+		}
+		return all;
+	}
+	function run(n){
+		switch(n.op){
+			case 'word': case 'phrase': case 'near':
+				var list = unique(candidates(n));
+				return n.op === 'word' && !n.field? list : list.filter(function(item){ return matches(n, item) });
+			case 'or':
+				return unique([].concat.apply([], n.args.map(run)));
+			case 'not':
+				var out = set(run(n.arg));
+				return everything().filter(function(item){ return !out.get(item) });
+			case 'and':
+				var yes = n.args.filter(function(a){ return a.op !== 'not' });
+				var no = n.args.filter(function(a){ return a.op === 'not' }).map(function(a){ return set(run(a.arg)) });
+				var lists = yes.map(run).sort(function(x, y){ return x.length - y.length });
+				var others = lists.slice(1).map(set);
+				return (lists.length? lists[0] : everything()).filter(function(item){
+					return others.every(function(has){ return has.get(item) }) && no.every(function(has){ return !has.get(item) });
+				});
 		}
-		
-		return results;
+		return [];
+	}
+	return run(q);
+}
+
+// Typo tolerance: indexed words at most `edits` edits (add, drop or change a letter, or
+// swap two next to each other) away from `word`, as [{word, edits}], closest first.
+// `edits` defaults to B.fuzzy.edits(word).
+B.fuzzy = function(index, word, edits){
+	if(typeof edits !== 'number'){ edits = B.fuzzy.edits(word) }
+	if(edits <= 0){ return postings(index, word)? [{word: word, edits: 0}] : [] }
+	
+	// One edit changes at most 3 of a word's letter pairs, so a close word shares the rest
+	var mine = bigrams(word), need = mine.length - 3 * edits, shared = Object.create(null), list;
+	if(need > 0){
+		var grams = vocabularyGrams(index);
+		list = [];
+		mine.forEach(function(g){
+			(grams.get(g) || []).forEach(function(w){
+				if((shared[w] = (shared[w] || 0) + 1) === need){ list.push(w) }
+			});
+		});
+	} else {
+		list = vocab(index);
 	}
 	
-	// Single word search
-	var word = words[0];
-	if(!index[word]){ return [] }
+	var found = [];
+	list.forEach(function(w){
+		if(Math.abs(w.length - word.length) > edits){ return }
+		var d = distance(word, w, edits);
+		if(d <= edits){ found.push({word: w, edits: d}) }
+	});
+	return found.sort(function(x, y){ return (x.edits - y.edits) || (x.word < y.word? -1 : 1) });
+}
+
+// Edits allowed for a word of this length: none for very short words, where nearly every
+// other short word is one edit away
+B.fuzzy.edits = function(word){ return word.length < 3? 0 : word.length < 6? 1 : 2 }
+
+// Fuzzy hits for a query: entries not in `exact` that match with words in the query
+// spelled differently. They rank below every exact hit.
+function fuzzy(index, q, edits, exact, a){
+	var weights = Object.create(null), spelled = respell(index, q, edits === true? undefined : edits, weights);
+	terms(index, q).forEach(function(w){ delete weights[w] });
+	if(Object.keys(weights).length === 0){ return [] }
+	
+	var results = evaluate(index, spelled, a), have = entries();
+	exact.forEach(function(r){ have.set(r, true) });
 	
-	var results = index[word].slice(0, maxResults);
+	var ranked = B.rank(index, terms(index, spelled), results.filter(function(item){ return !have.get(item) }), weights);
+	var lowest = exact.length? exact[exact.length - 1].score : Infinity;
+	var scale = ranked.length && ranked[0].score >= lowest? lowest / ranked[0].score / 2 : 1;
+	ranked.forEach(function(r){ r.score *= scale; r.fuzzy = true });
+	return ranked;
+}
+
+// The query with each word it looks for (not the ones it rules out, and not in phrases or
+// NEAR, which match exact words by position) widened to its close spellings. `weights`
+// gets each spelling's weight for B.rank: less the more edits away it is.
+function respell(index, n, edits, weights){
+	if(n.op === 'word' && !n.prefix){
+		var alts = B.fuzzy(index, n.word, edits).filter(function(v){ return v.edits > 0 });
+		if(alts.length === 0){ return n }
+		return {op: 'or', args: [n].concat(alts.map(function(v){
+			weights[v.word] = Math.max(weights[v.word] || 0, 1 / (1 + v.edits));
+			var alt = {op: 'word', word: v.word};
+			if(n.field){ alt.field = n.field }
+			return alt;
+		}))};
+	}
+	if(n.op === 'and' || n.op === 'or'){
+		return {op: n.op, args: n.args.map(function(a){ return respell(index, a, edits, weights) })};
+	}
+	return n;
+}
+
+// Letter pairs of a word, with its start and end marked
+function bigrams(word){
+	var w = '^' + word + '$', grams = [];
+	for(var i = 0; i < w.length - 1; i++){
+		if(grams.indexOf(w.substr(i, 2)) < 0){ grams.push(w.substr(i, 2)) }
+	}
+	return grams;
+}
+
+// Letter pair -> indexed words containing it, made on first use and kept on the index
+function vocabularyGrams(index){
+	if(index['#grams']){ return index['#grams'] }
+	var grams = new Map();
+	vocab(index).forEach(function(w){
+		bigrams(w).forEach(function(g){
+			if(!grams.has(g)){ grams.set(g, []) }
+			grams.get(g).push(w);
+		});
+	});
+	Object.defineProperty(index, '#grams', {value: grams, configurable: true});
+	return grams;
+}
+
+// Edit distance between a and b (adjacent swaps count as one), or max + 1 once it's
+// certain to be more than max
+function distance(a, b, max){
+	var prev2 = null, prev = [], row, i, j;
+	for(j = 0; j <= b.length; j++){ prev[j] = j }
+	for(i = 1; i <= a.length; i++){
+		row = [i];
+		var least = i;
+		for(j = 1; j <= b.length; j++){
+			var cost = a[i - 1] === b[j - 1]? 0 : 1;
+			row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+			if(prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]){
+				row[j] = Math.min(row[j], prev2[j - 2] + 1);
+			}
+			if(row[j] < least){ least = row[j] }
+		}
+		if(least > max){ return max + 1 }
+		prev2 = prev;
+		prev = row;
+	}
+	return prev[b.length];
+}
+
+// One page of a result list, from opts.offset or from opts.cursor (as returned by an
+// earlier page). The page also carries total (hits in the whole list), offset, and
+// cursor for the next page (null on the last page).
+B.page = function(list, opts){
+	opts = opts || {};
+	var maxResults = opts.maxResults || 100;
+	var offset = opts.cursor? resume(list, opts.cursor) : Math.max(0, parseInt(opts.offset, 10) || 0);
+	var results = list.slice(offset, offset + maxResults);
+	var end = offset + results.length;
+	results.total = list.length;
+	results.offset = offset;
+	results.cursor = end < list.length? end + ':' + results[results.length - 1].key : null;
 	return results;
 }
 
+// Cursors are "offset:last key", so a page still follows on from the right item
+// if entries were added or removed before it since the cursor was handed out.
+function resume(list, cursor){
+	cursor = '' + cursor;
+	var i = cursor.indexOf(':');
+	var offset = Math.max(0, parseInt(i < 0? cursor : cursor.slice(0, i), 10) || 0);
+	if(i < 0){ return offset }
+	var key = cursor.slice(i + 1);
+	if(list[offset - 1] && '' + list[offset - 1].key === key){ return offset }
+	for(var j = 0; j < list.length; j++){
+		if('' + list[j].key === key){ return j + 1 }
+	}
+	return Math.min(offset, list.length);
+}
+
 // Prefix search using the existing radix structure
 B.prefix = function(book, prefix){
 	var results = [];
@@ -5,6 +5,7 @@ import { fork } from 'child_process'
 import fs from 'fs'
 import { promises as fsPromises } from 'fs'
 import os from 'os'
+import { sanitizeFileName, resolveInside, availableFileName } from '../src/transfer/fileNames.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -183,15 +184,16 @@ ipcMain.handle('upload-file', async (event, { fileName, fileBuffer }) => {
     // Ensure directory exists
     await fsPromises.mkdir(filesDir, { recursive: true })
     
-    // Write the file
-    const filePath = join(filesDir, fileName)
-    await fsPromises.writeFile(filePath, Buffer.from(fileBuffer))
+    // Never trust the renderer's name: strip it to a single safe segment and don't overwrite
+    const storedName = await availableFileName(filesDir, sanitizeFileName(fileName))
+    const filePath = resolveInside(filesDir, storedName)
+    await fsPromises.writeFile(filePath, Buffer.from(fileBuffer), { flag: 'wx' })
     
     console.log(`✅ File written to: ${filePath}`)
-    return { success: true, filePath }
+    return { success: true, filePath, fileName: storedName }
   } catch (error) {
     console.error('Upload error:', error)
-    return { success: false, error: error.message }
+    return { success: false, error: error.message, reason: error.reason }
   }
 })
 
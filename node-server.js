@@ -14,6 +14,14 @@ import { fileURLToPath } from 'url'
 import http from 'http'
 import { WebSocket } from 'ws'
 import crypto from 'crypto'
+import { Readable } from 'stream'
+import { merkleRoot as computeMerkleRoot, verifyChunk, verifyManifest } from './src/transfer/chunkIntegrity.js'
+import { FileResumeStore } from './src/transfer/FileResumeStore.js'
+import { sanitizeFileName, resolveInside, availableFileName } from './src/transfer/fileNames.js'
+import { CHUNK_ENCODINGS, pickEncoding, encodeChunkFrame, decodeChunkFrame, encodeChunkPayload, decodeChunkPayload } from './src/transfer/chunkFrames.js'
+import { ERROR_CODES, RpcClient, okResponse, errorResponse } from './src/protocol/rpc.js'
+import { PROTOCOL_VERSION, CAPABILITIES, validateMessage, createHello, PeerCapabilities } from './src/protocol/messages.js'
+import { SearchRouter, SEARCH_REQUEST_TYPES } from './src/protocol/searchRouting.js'
 
 // Console filter: allow ONLY dataset file search and file transfer logs (keep errors)
 (() => {
@@ -44,6 +52,9 @@ import crypto from 'crypto'
         s.includes('Progress:') ||
         s.includes('📥') ||
         s.includes('📤') ||
+        s.includes('🚫') ||
+        s.includes('🔐') ||
+        s.includes('🔓') ||
         // Startup and peer connection logs
         s.includes('Starting PigeonFS') ||
         s.includes('Connecting to network') ||
@@ -90,6 +101,12 @@ const CONFIG = {
   enableCrypto: process.env.ENABLE_CRYPTO !== 'false', // Default to true unless explicitly disabled
   httpPort: parseInt(process.env.HTTP_PORT || '3000'),
   storageQuota: parseInt(process.env.STORAGE_QUOTA || '10737418240'), // Default 10GB in bytes
+  apiToken: process.env.API_TOKEN || null, // Required for HTTP PUT/DELETE; write API is disabled when unset
+  chunkCacheSize: parseInt(process.env.CHUNK_CACHE_SIZE || '256'), // Hot 64KB chunks kept in memory (default 16MB)
+  permissionsFile: process.env.PERMISSIONS_FILE || null, // Peer roles; defaults to <dataDir>/permissions.json if present
+  reconcileInterval: parseInt(process.env.RECONCILE_INTERVAL || '600000'), // Full rescan of files/ to catch missed watch events (default 10 min)
+  maxConcurrentUploads: parseInt(process.env.MAX_CONCURRENT_UPLOADS || '8'), // P2P chunk uploads in progress before new ones get BUSY
+  maxDownloadsPerPeer: parseInt(process.env.MAX_DOWNLOADS_PER_PEER || '8'), // Files one peer may download at once before getting BUSY
   bootstrapNodes: [
     'wss://pigeonhub.fly.dev',
     'wss://pigeonhub-c.fly.dev'
@@ -98,20 +115,66 @@ const CONFIG = {
   enableFileServing: true
 }
 
+// Protocol features this node announces in its hello
+const NODE_CAPABILITIES = [
+  CAPABILITIES.BINARY_CHUNKS,
+  CAPABILITIES.BASE64_CHUNKS,
+  CAPABILITIES.CHUNK_MANIFESTS,
+  CAPABILITIES.REQUEST_IDS,
+  CAPABILITIES.FILE_TREE,
+  CAPABILITIES.SEARCH_PAGING
+]
+
+// Results per dataset-search-response unless the request sets `limit`
+const SEARCH_PAGE_SIZE = 20
+const MAX_SEARCH_PAGE_SIZE = 200
+
+// Peer roles, lowest to highest; each role can do everything the ones below it can
+const ROLE_LEVELS = { none: 0, reader: 1, uploader: 2, admin: 3 }
+
+// Minimum role for each incoming request type
+const REQUIRED_ROLES = {
+  'dataset-search-request': 'reader',
+  'file-search-request': 'reader',
+  'dataset-availability-request': 'reader',
+  'file-list-request': 'reader',
+  'file-stream-request': 'reader',
+  'file-chunk-request': 'reader',
+  'file-manifest-request': 'reader',
+  'file-chunk-upload': 'uploader',
+  'file-delete-request': 'admin'
+}
+
 class PigeonFSNode {
   constructor(config) {
     this.config = config
     this.storageUsed = 0 // Track current storage usage
     this.config = config
     this.pigeon = null
-    this.datasets = new Map() // sha1Hash -> { book, index, data, name, hash, checksum }
+    this.datasets = new Map() // sha1Hash -> { book, index, data, name, hash, checksum, analyzer }
     this.datasetsByName = new Map() // name -> sha1Hash (for lookup)
-    this.files = new Map() // fileId -> buffer
+    this.files = new Map() // fileId (SHA-256 of contents) -> { id, name, size, type, path, mtimeMs } (contents stay on disk)
+    this.duplicateFiles = new Map() // relative path -> entry for a file whose content is already in `files` under another path
+    this.fileHashCache = new Map() // relative path -> { size, mtimeMs, hash }, persisted to file-hashes.json
+    this.chunkCache = new Map() // LRU of recently served chunks: `${fileId}:${chunkIndex}` -> Buffer
     this.filesIndex = null // Book.js index for file search
+    this.fileIndexTerms = new Map() // fileId -> { value, keys } added to filesIndex, for incremental removal
+    this.dhtFileIndex = null // Book.js index of file-index entries fetched from the DHT, updated per query
+    this.fileSyncQueue = Promise.resolve() // Watcher events and reconciliation scans run one at a time
+    this.pendingFileEvents = new Map() // relative path -> debounce timeout
     this.httpServer = null
     this.activeDownloads = new Map() // Track active downloads per peer: peerId -> Set<fileId>
     this.downloadTimeouts = new Map() // Track download timeouts: `${peerId}-${fileId}` -> timeout
     this.processedChunkRequests = new Map() // Deduplicate chunk requests: `${peerId}-${fileId}-${chunkIndex}` -> timestamp
+    this.permissions = null // { default, peers, publicKeys } from the permissions file; null = open node
+    this.uploadingFiles = new Map() // `${peerId}:${fileId}` -> in-progress chunk upload
+    this.rejectedUploads = new Set() // `${peerId}:${fileId}` of uploads refused at chunk 0, so their remaining chunks are dropped quietly
+    this.peerCapabilities = new PeerCapabilities() // peerId -> protocol version and capabilities from its hello
+    this.helloSent = new Set() // Peers we've sent our hello to this connection
+    this.searchRouter = new SearchRouter({ getPigeon: () => this.pigeon }) // Dedupes, forwards and answers search requests
+    this.rpc = new RpcClient({ send: (peerId, message) => this.pigeon.sendDirectMessage(peerId, message) }) // Our own requests to other peers
+    this.resumeStore = new FileResumeStore(path.join(config.dataDir, 'downloads')) // Partial downloads from other peers
+    this.downloads = new Map() // fileId -> promise of a running download from other peers
   }
 
   async initialize() {
@@ -123,6 +186,10 @@ class PigeonFSNode {
     // Ensure data directory exists
     await fs.mkdir(this.config.dataDir, { recursive: true })
     
+    // Peer roles (reader/uploader/admin); reloaded when the file changes
+    await this.loadPermissions()
+    fsSync.watchFile(this.getPermissionsPath(), { interval: 5000 }, () => this.loadPermissions())
+    
     // Initialize PeerPigeon
     console.log(`🌐 Connecting to network: ${this.config.networkName}`)
     this.pigeon = new PeerPigeonMesh({
@@ -236,17 +303,42 @@ class PigeonFSNode {
     // Start HTTP upload server
     await this.startHttpServer()
 
+    // Pick up downloads interrupted by a restart
+    if (this.config.enableFileServing) {
+      await this.resumeDownloads()
+    }
+
     // Announce availability
     this.announceAvailability()
     
     // Setup stream receiver for file uploads
     this.pigeon.on('streamReceived', async (event) => {
       const { peerId, stream, metadata } = event
+      
+      if (!this.hasRole(peerId, 'uploader')) {
+        await this.denyRequest(peerId, { type: 'stream-upload', fileName: metadata.filename }, 'uploader')
+        stream.cancel().catch(() => {})
+        return
+      }
+      
+      // Reject unusable names before reading any data
+      try {
+        sanitizeFileName(metadata.filename)
+      } catch (error) {
+        await this.rejectUpload(peerId, { type: 'stream-upload', fileName: metadata.filename }, error)
+        stream.cancel().catch(() => {})
+        return
+      }
+      
       console.log(`📥 Receiving stream upload: ${metadata.filename} (${this.formatSize(metadata.totalSize)}) from ${peerId.substring(0, 8)}`)
       
+      const tempPath = path.join(this.config.dataDir, 'temp', `stream-${crypto.randomBytes(8).toString('hex')}`)
+      let fileHandle = null
+      
       try {
-        // Read stream chunks
-        const chunks = []
+        // Write stream chunks straight to a temp file
+        await fs.mkdir(path.dirname(tempPath), { recursive: true })
+        fileHandle = await fs.open(tempPath, 'w')
         const reader = stream.getReader()
         let received = 0
         
@@ -254,7 +346,7 @@ class PigeonFSNode {
           const { done, value } = await reader.read()
           if (done) break
           
-          chunks.push(value)
+          await fileHandle.write(value)
           received += value.length
           
           if (received % (1024 * 1024 * 10) === 0 || received === metadata.totalSize) {
@@ -263,13 +355,13 @@ class PigeonFSNode {
           }
         }
         
-        // Concatenate chunks into single buffer
-        const buffer = Buffer.concat(chunks.map(chunk => Buffer.from(chunk)))
+        await fileHandle.close()
+        fileHandle = null
         
-        // Add file to storage
-        const fileId = await this.addFile(metadata.filename, buffer)
+        // Move into the files directory
+        const fileId = await this.addFileFromPath(metadata.filename, tempPath)
         
-        console.log(`✅ Stream upload complete: ${metadata.filename} (${this.formatSize(buffer.length)})`)
+        console.log(`✅ Stream upload complete: ${this.files.get(fileId).name} (${this.formatSize(received)})`)
         
         // Force GC
         if (global.gc) {
@@ -279,6 +371,8 @@ class PigeonFSNode {
         
       } catch (error) {
         console.error(`❌ Stream upload failed from ${peerId.substring(0, 8)}:`, error)
+        if (fileHandle) await fileHandle.close().catch(() => {})
+        fs.unlink(tempPath).catch(() => {})
       }
     })
     
@@ -305,13 +399,21 @@ class PigeonFSNode {
     this.pigeon.on('peerConnected', (data) => {
       console.log(`🤝 Peer connected: ${data.peerId?.substring(0, 8)}`)
       console.log(`   Total peers: ${this.pigeon.connectionManager.peers.size}`)
+      this.sendHello(data.peerId)
       // Re-announce when new peer connects
       this.announceAvailability()
+      // A provider of an unfinished download may be back
+      if (this.config.enableFileServing) {
+        this.resumeDownloads(data.peerId).catch(error => console.warn('⚠️  Could not resume downloads:', error.message))
+      }
     })
     
     this.pigeon.on('peerDisconnected', (data) => {
       console.log(`👋 Peer disconnected: ${data.peerId?.substring(0, 8)}`)
       console.log(`   Total peers: ${this.pigeon.connectionManager.peers.size}`)
+      this.peerCapabilities.delete(data.peerId)
+      this.helloSent.delete(data.peerId)
+      this.rpc.cancel(data.peerId)
       
       // Clean up any active downloads for this peer
       if (this.activeDownloads.has(data.peerId)) {
@@ -323,35 +425,122 @@ class PigeonFSNode {
       }
     })
     
+    // Framed binary chunks (uploads from clients that negotiated binary transport):
+    // unpack and route like any other message
+    this.pigeon.on('binaryMessageReceived', ({ from, data }) => {
+      try {
+        const frame = decodeChunkFrame(data)
+        if (!frame) return
+        this.pigeon.emit('messageReceived', {
+          from,
+          content: { ...frame.header, chunk: frame.bytes }
+        })
+      } catch (error) {
+        console.error('Error handling binary message:', error)
+      }
+    })
+    
     this.pigeon.on('messageReceived', async ({ from, content }) => {
       try {
         if (typeof content === 'string') {
           content = JSON.parse(content)
         }
 
+        const { valid, known, errors } = validateMessage(content)
+        if (!valid) {
+          console.warn(`🚫 Dropped invalid ${content?.type || 'message'} from ${from?.substring(0, 8)}: ${errors.join(', ')}`)
+          if (known && REQUIRED_ROLES[content.type]) {
+            await this.replyError(from, content, ERROR_CODES.BAD_REQUEST, `Invalid ${content.type}: ${errors.join(', ')}`)
+          }
+          return
+        }
+
+        // Replies to our own requests (manifests and chunks of downloads)
+        if (this.rpc.handleMessage(content, from)) return
+
+        if (content.type === 'hello') {
+          await this.handleHello(from, content)
+          return
+        }
+
+        const requiredRole = REQUIRED_ROLES[content.type]
+        if (requiredRole && !this.hasRole(from, requiredRole)) {
+          await this.denyRequest(from, content, requiredRole)
+          return
+        }
+
+        // Searches can reach us by several paths; handle each once and pass it on
+        // (only for peers allowed to search, so we can't be used as a relay)
+        if (SEARCH_REQUEST_TYPES.includes(content.type)) {
+          if (!this.searchRouter.accept(content)) return
+          const forwarded = await this.searchRouter.forward(content, from)
+          if (forwarded > 0) {
+            console.log(`📡 Forwarded ${content.type} to ${forwarded} peers (${content.ttl - 1} hops left)`)
+          }
+        }
+
         if (content.type === 'dataset-search-request') {
           await this.handleSearchRequest(content, from)
         } else if (content.type === 'file-search-request') {
           await this.handleFileSearchRequest(content, from)
         } else if (content.type === 'dataset-availability-request') {
-          await this.handleAvailabilityRequest(from)
+          await this.handleAvailabilityRequest(from, content)
         } else if (content.type === 'file-list-request') {
-          await this.handleFileListRequest(from)
+          await this.handleFileListRequest(from, content)
         } else if (content.type === 'file-stream-request') {
           await this.handleFileStreamRequest(from, content)
         } else if (content.type === 'file-chunk-request') {
           await this.handleFileChunkRequest(from, content)
+        } else if (content.type === 'file-manifest-request') {
+          await this.handleFileManifestRequest(from, content)
         } else if (content.type === 'file-chunk-upload') {
           await this.handleFileChunkUpload(from, content)
+        } else if (content.type === 'file-delete-request') {
+          await this.handleFileDeleteRequest(from, content)
         } else if (content.type === 'file-start') {
           // Ignore incoming file transfers - we're a server
           console.log(`📥 Ignoring file transfer from ${from.substring(0, 8)}`)
         }
       } catch (error) {
         console.error('Error handling message:', error)
+        // Don't leave the requester waiting for a reply that will never come
+        if (from && content && REQUIRED_ROLES[content.type]) {
+          const code = error.code === 'QUOTA_EXCEEDED' ? ERROR_CODES.QUOTA_EXCEEDED : ERROR_CODES.INTERNAL
+          await this.replyError(from, content, code, error.message).catch(() => {})
+        }
       }
     })
   }
+
+  async sendHello(peerId) {
+    if (!peerId || this.helloSent.has(peerId)) return
+    this.helloSent.add(peerId)
+    await this.pigeon.sendDirectMessage(peerId, createHello({
+      capabilities: NODE_CAPABILITIES,
+      nodeType: 'pigeonfs-server',
+      peerId: this.pigeon.peerId
+    }))
+  }
+
+  async handleHello(fromPeerId, hello) {
+    const peer = this.peerCapabilities.set(fromPeerId, hello)
+    if (peer.compatible) {
+      console.log(`🤝 ${fromPeerId.substring(0, 8)} speaks protocol v${hello.protocolVersion} (${hello.capabilities.join(', ') || 'no capabilities'})`)
+    } else {
+      console.warn(`⚠️  ${fromPeerId.substring(0, 8)} speaks protocol v${hello.protocolVersion}, older than we support; using legacy messages only`)
+    }
+    // Answer hellos that arrive before our own peerConnected fired
+    await this.sendHello(fromPeerId)
+  }
+
+  // Reply to `request` with its success message; `requestId` is echoed for the client's RPC helper
+  async reply(peerId, request, type, body) {
+    return this.pigeon.sendDirectMessage(peerId, okResponse(request, type, body))
+  }
+
+  async replyError(peerId, request, code, message, extra) {
+    return this.pigeon.sendDirectMessage(peerId, errorResponse(request, code, message, extra))
+  }
   
   setupGossipListener() {
     if (this.pigeon.gossipManager) {
@@ -394,7 +583,7 @@ class PigeonFSNode {
         let combined = []
         try {
           if (this.filesIndex && this.files && this.files.size > 0) {
-            const local = Book.searchIndex(this.filesIndex, query, { maxResults: 50 })
+            const local = Book.searchIndex(this.filesIndex, Book.query(request.parsedQuery, Book.analyzed(this.filesIndex)) || query, { maxResults: 50, fuzzy: request.fuzzy === true })
             combined = combined.concat(local)
           }
         } catch {}
@@ -423,18 +612,22 @@ class PigeonFSNode {
           }
         }
         const merged = Array.from(seen.values())
-        // If exactly one unique file, send 1 result; else cap to 10
-        const limited = merged.length === 1 ? merged.slice(0, 1) : merged.slice(0, 10)
-        if (limited.length > 0) {
+        const page = Book.page(merged, this.searchPageOptions(request))
+        if (page.length > 0) {
           const response = {
             type: 'dataset-search-response',
             requestId,
+            ok: true,
+            peerId: this.pigeon.peerId,
             dataset: datasetName,
-            results: limited,
+            results: page,
+            total: page.total,
+            offset: page.offset,
+            nextCursor: page.cursor,
             query
           }
-          await this.pigeon.gossipManager.broadcastMessage(JSON.stringify(response), 'chat')
-          console.log(`📤 Sent ${limited.length} results for "${query}"`)
+          const via = await this.searchRouter.respond(request, fromPeerId, response)
+          console.log(`📤 Sent ${page.length} of ${page.total} results for "${query}" (${via})`)
         }
       } catch (e) {
         console.warn('file-index dataset search failed:', e)
@@ -457,42 +650,18 @@ class PigeonFSNode {
 
     console.log(`🔍 Search request: "${query}" in ${datasetName} (${datasetHash.substring(0, 8)}...) from ${fromPeerId.substring(0, 8)}`)
     
-    // Try exact/prefix match first
-    let results = Book.searchIndex(ds.index, query, { maxResults: 50 })
+    // Try exact/prefix match first, with the requester's parsed query so we match the same way it does
+    const pageOptions = this.searchPageOptions(request)
+    const analyzer = Book.analyzed(ds.index)
+    const parsedQuery = Book.query(request.parsedQuery, analyzer) || Book.parseQuery(query, analyzer)
+    let results = Book.searchIndex(ds.index, parsedQuery, pageOptions)
     
-    // If no results or few results and query looks like it might be a partial/multi-word search
-    if (results.length < 5 && query.length >= 3) {
-      const searchQuery = query.toLowerCase().trim()
-      const matchingKeys = Object.keys(ds.index).filter(key => 
-        key.includes(searchQuery) // Substring match
-      )
-      
-      if (matchingKeys.length > 0) {
-        console.log(`🔍 Found ${matchingKeys.length} substring matches, expanding search...`)
-        // Get results from all matching keys with scoring
-        const seen = new Set()
-        const expandedResults = []
-        for (const key of matchingKeys) {
-          const items = ds.index[key] || []
-          for (const item of items) {
-            if (!seen.has(item.key) && expandedResults.length < 50) {
-              seen.add(item.key)
-              // Calculate relevance score
-              const matchIndex = key.indexOf(searchQuery)
-              const score = matchIndex === 0 ? 1.0 : 
-                          matchIndex === key.length - searchQuery.length ? 0.8 : 
-                          0.6
-              expandedResults.push({
-                ...item,
-                score: score
-              })
-            }
-          }
-        }
-        // Sort by score and take top results
-        expandedResults.sort((a, b) => (b.score || 0) - (a.score || 0))
-        results = expandedResults.slice(0, 20) // Return top 20
-        console.log(`🔍 Expanded search found ${results.length} results`)
+    // If no results or few results for a single word, it might be part of a longer word
+    if (results.total < 5) {
+      const expanded = Book.searchSubstring(ds.index, parsedQuery, pageOptions)
+      if (expanded.total > 0) {
+        console.log(`🔍 Expanded search found ${expanded.total} results in words containing "${parsedQuery.word}"`)
+        results = expanded
       }
     }
     
@@ -500,15 +669,31 @@ class PigeonFSNode {
       const response = {
         type: 'dataset-search-response',
         requestId,
+        ok: true,
         dataset: datasetName,
         datasetHash: datasetHash,
         datasetChecksum: ds.checksum,
+        peerId: this.pigeon.peerId,
         results,
+        total: results.total,
+        offset: results.offset,
+        nextCursor: results.cursor,
         query
       }
       
-      await this.pigeon.gossipManager.broadcastMessage(JSON.stringify(response), 'chat')
-      console.log(`📤 Sent ${results.length} results for "${query}"`)
+      const via = await this.searchRouter.respond(request, fromPeerId, response)
+      console.log(`📤 Sent ${results.length} of ${results.total} results for "${query}" (${via})`)
+    }
+  }
+
+  // Book.searchIndex() options from a dataset-search-request's `limit`, `offset`, `cursor` and `fuzzy`
+  searchPageOptions(request) {
+    const limit = Number.isInteger(request.limit) && request.limit > 0 ? request.limit : SEARCH_PAGE_SIZE
+    return {
+      maxResults: Math.min(limit, MAX_SEARCH_PAGE_SIZE),
+      offset: request.offset,
+      cursor: request.cursor,
+      fuzzy: request.fuzzy === true
     }
   }
 
@@ -519,7 +704,7 @@ class PigeonFSNode {
 
     console.log(`🔍 File search request: "${query}" from ${fromPeerId.substring(0, 8)}`)
     if (hasLocalIndex) {
-      console.log(`🔍 Local index has ${Object.keys(this.filesIndex).length} words`)
+      console.log(`🔍 Local index has ${Book.words(this.filesIndex).length} words`)
       console.log(`🔍 Searching for: ${query.toLowerCase()}`)
     } else {
       console.log(`🔍 No local files index; falling back to DHT file-index dataset`)
@@ -567,6 +752,7 @@ class PigeonFSNode {
       const response = {
         type: 'file-search-response',
         requestId,
+        ok: true,
         results: merged.map(r => {
           // Parse the JSON value back to file object
           try {
@@ -574,6 +760,7 @@ class PigeonFSNode {
             return {
               id: file.id,
               name: file.name,
+              relativePath: file.relativePath,
               size: file.size,
               type: file.type,
               score: r.score
@@ -593,19 +780,21 @@ class PigeonFSNode {
         peerId: this.pigeon.peerId
       }
       
-      await this.pigeon.gossipManager.broadcastMessage(JSON.stringify(response), 'chat')
-      console.log(`📤 Broadcasted ${merged.length} file results for "${query}"`)
+      const via = await this.searchRouter.respond(request, fromPeerId, response)
+      console.log(`📤 Sent ${merged.length} file results for "${query}" (${via})`)
     } else {
       console.log(`🔍 No matching files found for "${query}"`)
     }
   }
 
-  // Build a transient Book.js index directly from the DHT-backed dataset:file-index:* entries
+  // Search the DHT-backed dataset:file-index:* entries. Each query refreshes the entries of
+  // its tokens in dhtFileIndex; entries fetched for earlier queries stay and can match too.
   async searchDHTFileIndex(query) {
     try {
       const tokens = this.tokenizeQuery(query)
       if (!tokens.length) return []
-      const book = Book()
+      if (!this.dhtFileIndex) this.dhtFileIndex = Book.index(Book())
+      const index = this.dhtFileIndex
       // Fetch entries for each token from WebDHT
       const lists = await Promise.all(tokens.map(async (t) => {
         try {
@@ -616,8 +805,9 @@ class PigeonFSNode {
           return { token: t, items: [] }
         }
       }))
-      // Populate book: key = token, value = JSON string of minimal file metadata
+      // key = token, value = JSON string of minimal file metadata
       for (const { token, items } of lists) {
+        index.remove(token)
         for (const it of items) {
           try {
             const out = JSON.stringify({
@@ -626,11 +816,10 @@ class PigeonFSNode {
               size: it.size || 0,
               type: it.type || 'unknown'
             })
-            book(token, out)
+            index.add(token, out)
           } catch {}
         }
       }
-      const index = Book.index(book)
       const results = Book.searchIndex(index, query, { maxResults: 50 })
       return results
     } catch (e) {
@@ -654,9 +843,8 @@ class PigeonFSNode {
     return Array.from(new Set(parts))
   }
 
-  async handleAvailabilityRequest(fromPeerId) {
+  async handleAvailabilityRequest(fromPeerId, request = {}) {
     const availability = {
-      type: 'dataset-availability-response',
       peerId: this.pigeon?.peerId,
       datasets: Array.from(this.datasets.values()).map(ds => {
         return {
@@ -664,39 +852,21 @@ class PigeonFSNode {
           hash: ds.hash,
           checksum: ds.checksum,
           itemCount: ds.data.length,
-          indexSize: Object.keys(ds.index).length
+          indexSize: Book.words(ds.index).length,
+          analyzer: ds.analyzer
         }
       }),
-      files: Array.from(this.files.keys()).map(fileId => {
-        const file = this.files.get(fileId)
-        return {
-          id: fileId,
-          name: file.name,
-          size: file.size,
-          type: file.type
-        }
-      })
+      files: Array.from(this.files.values()).map(file => this.getFileSummary(file))
     }
     
-    await this.pigeon.sendDirectMessage(fromPeerId, availability)
+    await this.reply(fromPeerId, request, 'dataset-availability-response', availability)
   }
 
-  async handleFileListRequest(fromPeerId) {
-    const fileList = {
-      type: 'file-list-response',
+  async handleFileListRequest(fromPeerId, request = {}) {
+    await this.reply(fromPeerId, request, 'file-list-response', {
       peerId: this.pigeon?.peerId,
-      files: Array.from(this.files.keys()).map(fileId => {
-        const file = this.files.get(fileId)
-        return {
-          id: fileId,
-          name: file.name,
-          size: file.size,
-          type: file.type
-        }
-      })
-    }
-    
-    await this.pigeon.sendDirectMessage(fromPeerId, fileList)
+      files: Array.from(this.files.values()).map(file => this.getFileSummary(file))
+    })
     console.log(`📤 Sent file list (${this.files.size} files) to ${fromPeerId.substring(0, 8)}`)
   }
 
@@ -706,19 +876,26 @@ class PigeonFSNode {
 
     if (!file) {
       console.log(`❌ File not found: ${fileId}`)
+      await this.replyError(fromPeerId, content, ERROR_CODES.NOT_FOUND, `File not found: ${fileName || fileId}`)
+      return
+    }
+
+    let filePath
+    try {
+      filePath = await this.resolveHostedPath(file)
+    } catch (error) {
+      console.warn(`🚫 Not streaming ${file.relativePath}: ${error.message}`)
+      await this.replyError(fromPeerId, content, ERROR_CODES.NOT_FOUND, `File not found: ${fileName || fileId}`)
       return
     }
 
+    // Acknowledge before the stream starts; the stream itself arrives as a 'streamReceived' event
+    await this.reply(fromPeerId, content, 'file-stream-start', { fileId, fileName: file.name, size: file.size })
     console.log(`📤 Streaming ${file.name} (${this.formatSize(file.size)}) to ${fromPeerId.substring(0, 8)}`)
 
     try {
-      // Create a ReadableStream from the file buffer
-      const readable = new ReadableStream({
-        start(controller) {
-          controller.enqueue(file.buffer)
-          controller.close()
-        }
-      })
+      // Stream the file from disk rather than buffering it
+      const readable = Readable.toWeb(fsSync.createReadStream(filePath, { highWaterMark: 64 * 1024 }))
 
       // Send the file as a stream using PeerPigeon's streaming API
       await this.pigeon.sendStream(fromPeerId, readable, {
@@ -734,12 +911,34 @@ class PigeonFSNode {
     }
   }
 
+  async handleFileManifestRequest(fromPeerId, content) {
+    const { fileId } = content
+    const file = this.files.get(fileId)
+
+    if (!file) {
+      console.log(`❌ File not found: ${fileId}`)
+      await this.replyError(fromPeerId, content, ERROR_CODES.NOT_FOUND, `File not found: ${fileId}`)
+      return
+    }
+
+    const manifest = await this.getFileManifest(file)
+    await this.reply(fromPeerId, content, 'file-manifest', manifest)
+    console.log(`📤 Sent manifest for ${file.name} (${manifest.chunkHashes.length} chunk hashes) to ${fromPeerId.substring(0, 8)}`)
+  }
+
   async handleFileChunkRequest(fromPeerId, content) {
     const { fileId, chunkIndex } = content
     const file = this.files.get(fileId)
 
     if (!file) {
       console.log(`❌ File not found: ${fileId}`)
+      await this.replyError(fromPeerId, content, ERROR_CODES.NOT_FOUND, `File not found: ${fileId}`, { chunkIndex })
+      return
+    }
+
+    const totalChunks = Math.max(1, Math.ceil(file.size / (64 * 1024)))
+    if (chunkIndex >= totalChunks) {
+      await this.replyError(fromPeerId, content, ERROR_CODES.BAD_REQUEST, `Chunk ${chunkIndex} is out of range (${totalChunks} chunks)`, { chunkIndex })
       return
     }
 
@@ -775,11 +974,17 @@ class PigeonFSNode {
       return
     }
 
-    // Track active download
+    // Track active download; a new file beyond the per-peer limit has to wait
     if (!this.activeDownloads.has(fromPeerId)) {
       this.activeDownloads.set(fromPeerId, new Set())
     }
-    this.activeDownloads.get(fromPeerId).add(fileId)
+    const peerDownloads = this.activeDownloads.get(fromPeerId)
+    if (!peerDownloads.has(fileId) && peerDownloads.size >= this.config.maxDownloadsPerPeer) {
+      this.processedChunkRequests.delete(requestKey) // Let the retry through
+      await this.replyError(fromPeerId, content, ERROR_CODES.BUSY, `Too many downloads in progress (${peerDownloads.size})`, { chunkIndex, retryAfter: 5000 })
+      return
+    }
+    peerDownloads.add(fileId)
 
     // Set/reset timeout for this download (5 minutes of inactivity)
     const downloadKey = `${fromPeerId}-${fileId}`
@@ -794,24 +999,42 @@ class PigeonFSNode {
 
     const chunkSize = 64 * 1024 // 64KB chunks
     const start = chunkIndex * chunkSize
-    const end = Math.min(start + chunkSize, file.buffer.length)
-    const chunk = file.buffer.slice(start, end)
+    const end = Math.min(start + chunkSize, file.size)
+    let chunk
+    try {
+      chunk = await this.readFileChunk(file, chunkIndex, chunkSize)
+    } catch (err) {
+      console.warn(`⚠️  Failed to read chunk ${chunkIndex} of ${file.name}:`, err.message)
+      this.cleanupDownload(fromPeerId, fileId)
+      await this.replyError(fromPeerId, content, ERROR_CODES.INTERNAL, `Failed to read chunk ${chunkIndex}`, { chunkIndex })
+      return
+    }
 
-    // Send chunk with metadata - PeerPigeon will detect Uint8Array in content.chunk and handle it
-    // IMPORTANT: send chunk as a plain array so it survives JSON serialization over gossip DM
-    // Buffer/Uint8Array would otherwise become an empty object and be received as 0-length
+    // Send in the best encoding the requester listed (see src/transfer/chunkFrames.js), or
+    // failing that what it announced in its hello. Buffer/Uint8Array in a JSON message would
+    // become an empty object, so the fallbacks are base64 or, for clients that predate
+    // encoding negotiation, a plain number array
+    const encoding = pickEncoding(content.encodings || this.peerCapabilities.chunkEncodings(fromPeerId))
     const response = {
       type: 'file-chunk',
+      requestId: content.requestId,
+      ok: true,
       fileId,
       chunkIndex,
-      // Convert to number array for transport; client will reconstruct with new Uint8Array()
-      chunk: Array.from(chunk),
       size: chunk.length,
-      isLastChunk: end >= file.buffer.length
+      isLastChunk: end >= file.size
     }
 
     try {
-      await this.pigeon.sendDirectMessage(fromPeerId, response)
+      let sent = false
+      if (encoding === 'binary') {
+        sent = await this.pigeon.sendBinaryData(fromPeerId, encodeChunkFrame(response, chunk))
+      }
+      if (!sent) {
+        // No direct data channel (e.g. routed via gossip): base64 inside a direct message
+        const fallback = encoding === 'array' ? 'array' : 'base64'
+        await this.pigeon.sendDirectMessage(fromPeerId, { ...response, ...encodeChunkPayload(chunk, fallback) })
+      }
       
       // If this is the last chunk, clean up
       if (response.isLastChunk) {
@@ -825,10 +1048,57 @@ class PigeonFSNode {
       return
     }
 
-    const progress = ((end / file.buffer.length) * 100).toFixed(1)
+    const progress = ((end / file.size) * 100).toFixed(1)
     console.log(`📤 Sent chunk ${chunkIndex} of ${file.name} to ${fromPeerId.substring(0, 8)} (${progress}%)`)
   }
 
+  // Read one chunk with a positional read, keeping recently served chunks in a small LRU
+  async readFileChunk(file, chunkIndex, chunkSize = 64 * 1024) {
+    const cacheKey = `${file.id}:${chunkIndex}`
+    const cached = this.chunkCache.get(cacheKey)
+    if (cached) {
+      // Refresh recency
+      this.chunkCache.delete(cacheKey)
+      this.chunkCache.set(cacheKey, cached)
+      return cached
+    }
+
+    const start = chunkIndex * chunkSize
+    const length = Math.max(0, Math.min(chunkSize, file.size - start))
+    const buffer = Buffer.alloc(length)
+    const fileHandle = await fs.open(await this.resolveHostedPath(file), 'r')
+    let bytesRead
+    try {
+      ({ bytesRead } = await fileHandle.read(buffer, 0, length, start))
+    } finally {
+      await fileHandle.close()
+    }
+    const chunk = bytesRead < length ? buffer.subarray(0, bytesRead) : buffer
+
+    if (this.config.chunkCacheSize > 0) {
+      this.chunkCache.set(cacheKey, chunk)
+      while (this.chunkCache.size > this.config.chunkCacheSize) {
+        this.chunkCache.delete(this.chunkCache.keys().next().value)
+      }
+    }
+
+    return chunk
+  }
+
+  // Where a hosted file's contents really are. Symlinks are followed, but only to targets
+  // inside files/; anything else throws, as resolveInside does for incoming names
+  async resolveHostedPath(file) {
+    const filesDir = await fs.realpath(path.join(this.config.dataDir, 'files'))
+    const target = await fs.realpath(file.path)
+    return resolveInside(filesDir, path.relative(filesDir, target))
+  }
+
+  evictCachedChunks(fileId) {
+    for (const key of this.chunkCache.keys()) {
+      if (key.startsWith(`${fileId}:`)) this.chunkCache.delete(key)
+    }
+  }
+
   cleanupDownload(peerId, fileId) {
     // Clear timeout
     const downloadKey = `${peerId}-${fileId}`
@@ -853,7 +1123,7 @@ class PigeonFSNode {
     const staleThreshold = 10 * 60 * 1000 // 10 minutes
     let cleaned = 0
     
-    for (const [fileId, upload] of this.uploadingFiles.entries()) {
+    for (const [uploadKey, upload] of this.uploadingFiles.entries()) {
       const timeSinceLastChunk = now - upload.lastChunkTime
       
       if (timeSinceLastChunk > staleThreshold) {
@@ -874,7 +1144,7 @@ class PigeonFSNode {
           upload.chunks = null
         }
         
-        this.uploadingFiles.delete(fileId)
+        this.uploadingFiles.delete(uploadKey)
         cleaned++
       }
     }
@@ -889,21 +1159,55 @@ class PigeonFSNode {
   }
 
   async handleFileChunkUpload(fromPeerId, content) {
-    const { fileId, fileName, fileSize, fileType, chunkIndex, chunk, isLastChunk, totalChunks } = content
+    const { fileId, fileName, fileSize, fileType, chunkIndex, totalChunks } = content
+    // fileId is chosen by the uploader, so uploads are per peer: nobody else can restart or add to one
+    const uploadKey = `${fromPeerId}:${fileId}`
+    const chunkSize = 64 * 1024
     
     // Initialize upload tracking if this is the first chunk
-    if (!this.uploadingFiles) {
-      this.uploadingFiles = new Map()
-    }
-    
     if (chunkIndex === 0) {
+      try {
+        sanitizeFileName(fileName)
+        // totalChunks bounds every later write, so it has to agree with the size the quota is checked against
+        const expectedChunks = fileSize == null ? null : Math.max(1, Math.ceil(fileSize / chunkSize))
+        if (totalChunks < 1 || (expectedChunks !== null && totalChunks !== expectedChunks)) {
+          const error = new Error(`totalChunks ${totalChunks} does not match a ${fileSize ?? 'missing'}-byte file`)
+          error.code = ERROR_CODES.BAD_REQUEST
+          throw error
+        }
+        this.checkStorageQuota(fileSize ?? totalChunks * chunkSize)
+        if (!this.uploadingFiles.has(uploadKey) && this.uploadingFiles.size >= this.config.maxConcurrentUploads) {
+          const error = new Error(`Too many uploads in progress (${this.uploadingFiles.size}), try again later`)
+          error.code = ERROR_CODES.BUSY
+          throw error
+        }
+      } catch (error) {
+        await this.rejectUpload(fromPeerId, content, error)
+        return
+      }
+      this.rejectedUploads.delete(uploadKey)
+      
       console.log(`📥 Starting upload: ${fileName} (${this.formatSize(fileSize)}) from ${fromPeerId.substring(0, 8)}`)
       
-      // Create temporary file for streaming chunks
-      const tempPath = path.join(this.config.dataDir, 'temp', `upload-${fileId}`)
+      // Create temporary file for streaming chunks (fileId comes from the peer, so hash it for the name)
+      const tempKey = crypto.createHash('sha256').update(uploadKey).digest('hex').substring(0, 32)
+      const tempPath = path.join(this.config.dataDir, 'temp', `upload-${tempKey}`)
+      
+      // Chunk 0 again restarts the upload: stop the old timeout so it can't delete the new one
+      const previous = this.uploadingFiles.get(uploadKey)
+      if (previous) {
+        clearTimeout(previous.timeoutId)
+        this.uploadingFiles.delete(uploadKey)
+        if (previous.tempPath !== tempPath) {
+          await fs.unlink(previous.tempPath).catch(() => {})
+        }
+      }
+      
+      // Start from an empty file so a retried or shorter upload keeps no stale bytes
       await fs.mkdir(path.dirname(tempPath), { recursive: true })
+      await fs.writeFile(tempPath, '')
       
-      this.uploadingFiles.set(fileId, {
+      this.uploadingFiles.set(uploadKey, {
         fileName,
         fileSize,
         fileType,
@@ -912,85 +1216,138 @@ class PigeonFSNode {
         totalChunks,
         startTime: Date.now(),
         lastChunkTime: Date.now(),
-        chunkMap: new Set() // Track which chunks we've received
+        chunkMap: new Set(), // Track which chunks we've received
+        chunkHashes: [], // SHA-256 of each chunk as written, for the Merkle check
+        merkleRoot: content.merkleRoot || null // Declared by the uploader
       })
       
       // Set timeout for incomplete uploads (10 minutes)
-      const timeoutId = setTimeout(() => {
-        if (this.uploadingFiles.has(fileId)) {
+      const started = this.uploadingFiles.get(uploadKey)
+      started.timeoutId = setTimeout(() => {
+        if (this.uploadingFiles.get(uploadKey) === started) {
           console.warn(`⏱️  Upload timeout for ${fileName} from ${fromPeerId.substring(0, 8)}`)
           // Clean up temp file
           fs.unlink(tempPath).catch(() => {})
-          this.uploadingFiles.delete(fileId)
+          this.uploadingFiles.delete(uploadKey)
         }
       }, 10 * 60 * 1000)
-      
-      this.uploadingFiles.get(fileId).timeoutId = timeoutId
     }
     
-    const upload = this.uploadingFiles.get(fileId)
+    const upload = this.uploadingFiles.get(uploadKey)
     if (!upload) {
+      // The rest of an upload refused at chunk 0 is already answered by its upload-rejected
+      if (this.rejectedUploads.has(uploadKey)) return
       console.log(`❌ Upload not initialized for file: ${fileId}`)
+      await this.replyError(fromPeerId, content, ERROR_CODES.NOT_FOUND, `No upload in progress for ${fileName || fileId}; resend from chunk 0`, { chunkIndex })
+      return
+    }
+    
+    if (chunkIndex >= upload.totalChunks) {
+      await this.replyError(fromPeerId, content, ERROR_CODES.BAD_REQUEST, `Chunk ${chunkIndex} is out of range (${upload.totalChunks} chunks)`, {
+        type: 'file-chunk-upload-rejected',
+        chunkIndex,
+        reason: 'out-of-range'
+      })
       return
     }
     
     // Update last chunk time
     upload.lastChunkTime = Date.now()
     
+    // Streaming uploaders only know the root once every chunk is hashed, so accept it on any chunk
+    if (content.merkleRoot) {
+      upload.merkleRoot = content.merkleRoot
+    }
+    
     // Check if we already received this chunk
     if (upload.chunkMap.has(chunkIndex)) {
       console.warn(`⚠️ Chunk ${chunkIndex} already received, skipping`)
       return
     }
     
+    // Verify the chunk against the hash the uploader sent with it
+    const chunkBytes = decodeChunkPayload(content)
+    const chunkBuffer = Buffer.from(chunkBytes.buffer, chunkBytes.byteOffset, chunkBytes.byteLength)
+    const receivedHash = crypto.createHash('sha256').update(chunkBuffer).digest('hex')
+    if (content.chunkHash && content.chunkHash !== receivedHash) {
+      console.warn(`⚠️ Chunk ${chunkIndex} of ${fileName} failed hash check, requesting resend`)
+      await this.replyError(fromPeerId, content, ERROR_CODES.INTEGRITY_ERROR, `Chunk ${chunkIndex} failed its hash check`, {
+        type: 'file-chunk-upload-rejected',
+        chunkIndex,
+        reason: 'hash-mismatch'
+      })
+      return
+    }
+    
+    if (chunkBuffer.length > chunkSize) {
+      await this.replyError(fromPeerId, content, ERROR_CODES.BAD_REQUEST, `Chunk ${chunkIndex} is larger than ${chunkSize} bytes`, {
+        type: 'file-chunk-upload-rejected',
+        chunkIndex,
+        reason: 'oversized'
+      })
+      return
+    }
+    
     // Write chunk directly to temp file (no memory accumulation!)
-    const chunkBuffer = Buffer.from(chunk)
-    const chunkSize = 64 * 1024
     const offset = chunkIndex * chunkSize
     
     try {
-      const fileHandle = await fs.open(upload.tempPath, 'a')
+      // Not 'a': append mode ignores the write position, and chunks may arrive out of order
+      const fileHandle = await fs.open(upload.tempPath, fsSync.constants.O_WRONLY | fsSync.constants.O_CREAT)
       await fileHandle.write(chunkBuffer, 0, chunkBuffer.length, offset)
       await fileHandle.close()
       
       upload.chunkMap.add(chunkIndex)
+      upload.chunkHashes[chunkIndex] = receivedHash
       upload.receivedChunks++
       
-      const progress = ((upload.receivedChunks / totalChunks) * 100).toFixed(1)
+      const progress = ((upload.receivedChunks / upload.totalChunks) * 100).toFixed(1)
       
-      if (upload.receivedChunks % 100 === 0 || upload.receivedChunks === totalChunks) {
+      if (upload.receivedChunks % 100 === 0 || upload.receivedChunks === upload.totalChunks) {
         const memUsage = process.memoryUsage()
-        console.log(`📥 Received chunk ${chunkIndex + 1}/${totalChunks} of ${fileName} (${progress}%) - Heap: ${this.formatSize(memUsage.heapUsed)}`)
+        console.log(`📥 Received chunk ${chunkIndex + 1}/${upload.totalChunks} of ${fileName} (${progress}%) - Heap: ${this.formatSize(memUsage.heapUsed)}`)
       }
       
-      // If all chunks received, move temp file to final location
-      if (isLastChunk || upload.receivedChunks === totalChunks) {
+      // Once every chunk is in (they can arrive out of order), move temp file to final location
+      if (upload.chunkMap.size === upload.totalChunks) {
         // Clear timeout
         if (upload.timeoutId) {
           clearTimeout(upload.timeoutId)
         }
         
-        // Read the complete file from disk
-        const buffer = await fs.readFile(upload.tempPath)
-        
-        // Delete temp file immediately
-        await fs.unlink(upload.tempPath)
+        // Verify the assembled file against the declared Merkle root before accepting it;
+        // without one a missing or corrupted chunk would go unnoticed, so it's required
+        const chunkHashes = Array.from({ length: upload.totalChunks }, (_, i) => upload.chunkHashes[i] || '')
+        const root = upload.merkleRoot && await computeMerkleRoot(chunkHashes)
+        if (!root || root !== upload.merkleRoot) {
+          const reason = upload.merkleRoot ? 'Merkle root mismatch' : 'Upload has no Merkle root'
+          console.error(`❌ Upload of ${fileName} failed Merkle verification (${reason}), discarding`)
+          await fs.unlink(upload.tempPath).catch(() => {})
+          this.uploadingFiles.delete(uploadKey)
+          await this.replyError(fromPeerId, content, ERROR_CODES.INTEGRITY_ERROR, reason, {
+            type: 'upload-complete',
+            fileName,
+            success: false
+          })
+          return
+        }
         
-        const actualFileId = await this.addFile(fileName, buffer)
+        // Move the assembled temp file into place (never loaded into memory)
+        const actualFileId = await this.addFileFromPath(fileName, upload.tempPath)
         
         const uploadTime = ((Date.now() - upload.startTime) / 1000).toFixed(1)
-        console.log(`✅ Upload complete: ${fileName} (${this.formatSize(buffer.length)}) in ${uploadTime}s`)
+        console.log(`✅ Upload complete: ${this.files.get(actualFileId).name} (${this.formatSize(this.files.get(actualFileId).size)}) in ${uploadTime}s`)
         
-        // Send confirmation
-        await this.pigeon.sendDirectMessage(fromPeerId, {
-          type: 'upload-complete',
+        // Send confirmation with the name actually stored (sanitized, possibly suffixed)
+        await this.reply(fromPeerId, content, 'upload-complete', {
           fileId: actualFileId,
-          fileName,
+          fileName: this.files.get(actualFileId).name,
+          requestedName: fileName,
           success: true
         })
         
         // Clean up - force GC
-        this.uploadingFiles.delete(fileId)
+        this.uploadingFiles.delete(uploadKey)
         if (global.gc) {
           global.gc()
           console.log('🧹 Forced GC after upload completion')
@@ -1003,7 +1360,14 @@ class PigeonFSNode {
         clearTimeout(upload.timeoutId)
       }
       fs.unlink(upload.tempPath).catch(() => {})
-      this.uploadingFiles.delete(fileId)
+      this.uploadingFiles.delete(uploadKey)
+      
+      const code = error.code === 'QUOTA_EXCEEDED' ? ERROR_CODES.QUOTA_EXCEEDED : ERROR_CODES.INTERNAL
+      await this.replyError(fromPeerId, content, code, error.message, {
+        type: 'upload-complete',
+        fileName,
+        success: false
+      })
     }
   }
 
@@ -1014,29 +1378,28 @@ class PigeonFSNode {
     await fs.mkdir(filesDir, { recursive: true })
     
     this.storageUsed = 0 // Reset storage counter
+    await this.loadFileHashCache()
     
     try {
-      const files = await fs.readdir(filesDir)
+      const files = await this.listFilesRecursive(filesDir)
       
-      for (const filename of files) {
-        const filePath = path.join(filesDir, filename)
+      for (const filePath of files) {
+        const relativePath = this.getRelativePath(filePath)
         const stats = await fs.stat(filePath)
         
         if (stats.isFile()) {
-          const buffer = await fs.readFile(filePath)
-          const fileId = this.generateFileId(filename)
+          const { hash: fileId, merkleRoot } = await this.hashFile(filePath, stats)
+          this.storageUsed += stats.size
           
-          this.files.set(fileId, {
-            id: fileId,
-            name: filename,
-            size: stats.size,
-            type: this.getMimeType(filename),
-            buffer: buffer
-          })
+          if (this.files.has(fileId)) {
+            console.log(`📄 Loaded file: ${relativePath} (same content as ${this.files.get(fileId).relativePath})`)
+            this.duplicateFiles.set(relativePath, this.createFileEntry(fileId, filePath, stats, merkleRoot))
+            continue
+          }
           
-          this.storageUsed += stats.size
+          this.files.set(fileId, this.createFileEntry(fileId, filePath, stats, merkleRoot))
           
-          console.log(`📄 Loaded file: ${filename} (${this.formatSize(stats.size)})`)
+          console.log(`📄 Loaded file: ${relativePath} (${this.formatSize(stats.size)})`)
         }
       }
       
@@ -1046,151 +1409,418 @@ class PigeonFSNode {
         console.log(`✅ Loaded ${this.files.size} files (${usedGB}GB / ${quotaGB}GB quota)`)
         this.rebuildFilesIndex()
       }
+      
+      // Drop cached hashes for files that no longer exist
+      const relativePaths = new Set(files.map(filePath => this.getRelativePath(filePath)))
+      for (const key of this.fileHashCache.keys()) {
+        if (!relativePaths.has(key)) this.fileHashCache.delete(key)
+      }
+      await this.saveFileHashCache()
     } catch (error) {
       console.error('Error loading files:', error)
     }
   }
 
+  // All regular files below `dir`, as absolute paths. Symlinked directories are not
+  // followed so a link back up the tree can't loop forever, and symlinks that resolve
+  // outside files/ are left out so they are never hashed, indexed or announced.
+  async listFilesRecursive(dir) {
+    const files = []
+    const entries = await fs.readdir(dir, { withFileTypes: true })
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name)
+      if (entry.isDirectory()) {
+        files.push(...await this.listFilesRecursive(entryPath))
+      } else if (await this.isInsideFilesDir(entryPath)) {
+        files.push(entryPath)
+      }
+    }
+    return files
+  }
+
+  // Whether a path on disk really is under files/ once symlinks are resolved.
+  // Broken links count as outside.
+  isInsideFilesDir(filePath) {
+    return this.resolveHostedPath({ path: filePath }).then(() => true, () => false)
+  }
+
   watchFilesDirectory() {
     const filesDir = path.join(this.config.dataDir, 'files')
     
     console.log('👁️  Watching files directory for changes...')
     
-    // Use fs.watch to monitor the directory
-    fsSync.watch(filesDir, async (eventType, filename) => {
+    // Events come in bursts (an editor save, a large copy), so each path is debounced
+    // and then synced on its own instead of reloading the whole directory
+    const onChange = (eventType, filename) => {
       if (!filename) return
+      const relativePath = filename.split(path.sep).join('/')
       
-      console.log(`📂 File change detected: ${eventType} - ${filename}`)
-      
-      // Debounce: wait a bit before reloading
-      if (this.reloadTimeout) {
-        clearTimeout(this.reloadTimeout)
-      }
-      
-      this.reloadTimeout = setTimeout(async () => {
-        console.log('🔄 Reloading files...')
-        this.files.clear()
-        await this.loadFiles()
-        this.announceAvailability()
-      }, 500)
-    })
-  }
-
-  rebuildFilesIndex() {
-    // Create Book.js from file metadata
-    const book = Book()
-    
-    // Add each file to the book using filename as key (for searching)
-    Array.from(this.files.values()).forEach(file => {
-      const fileMetadata = JSON.stringify({
-        id: file.id,
-        name: file.name,
-        size: file.size,
-        type: file.type
-      })
-      
-      // Get the base filename without extension
-      const nameWithoutExt = file.name.replace(/\.[^.]+$/, '')
-      
-      // Split camelCase/PascalCase and separators
-      const searchableFilename = nameWithoutExt
-        .replace(/([a-z])([A-Z])/g, '$1 $2') // camelCase -> camel Case
-        .replace(/([A-Z])([A-Z][a-z])/g, '$1 $2') // ABCDef -> ABC Def
-        .replace(/[._-]/g, ' ') // Replace separators with spaces
-        .toLowerCase()
-      
-      // Get file extension separately
-      const ext = path.extname(file.name).toLowerCase().replace('.', '')
-      
-      // Split into individual words
-      const words = searchableFilename.split(/\s+/).filter(w => w.length > 0)
-      
-      // Index each word individually for partial matching
-      words.forEach(word => {
-        book(word, fileMetadata)
-      })
-      
-      // Also index the file extension
-      if (ext) {
-        book(ext, fileMetadata)
-      }
-      
-      // Index the full searchable name for exact matches
-      book(searchableFilename, fileMetadata)
-      
-      // For words without spaces (like "pigeonlogo"), also index all substrings >= 3 chars
-      // This allows "pigeon" to find "pigeonlogo"
-      words.forEach(word => {
-        if (word.length > 6) { // Only for longer words to avoid too many matches
-          for (let i = 0; i <= word.length - 3; i++) {
-            for (let len = 3; len <= word.length - i; len++) {
-              const substring = word.substring(i, i + len)
-              book(substring, fileMetadata)
-            }
-          }
-        }
-      })
-    })
+      clearTimeout(this.pendingFileEvents.get(relativePath))
+      this.pendingFileEvents.set(relativePath, setTimeout(() => {
+        this.pendingFileEvents.delete(relativePath)
+        this.queueFileSync(() => this.syncPath(relativePath))
+      }, 300))
+    }
+    this.onFileChange = onChange
     
-    // Create searchable index
-    this.filesIndex = Book.index(book)
+    try {
+      fsSync.watch(filesDir, { recursive: true }, onChange)
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error
+      // Older Node on Linux has no recursive fs.watch - watch every directory instead
+      this.directoryWatchers = new Map()
+      this.watchSubdirectories(filesDir, onChange)
+    }
     
-    console.log(`🔍 Created searchable index for ${this.files.size} files`)
-    console.log(`🔍 Sample index keys:`, Object.keys(this.filesIndex).slice(0, 30).join(', '))
+    // fs.watch can miss events (overflowing queues, network mounts, editors that swap files)
+    if (this.config.reconcileInterval > 0) {
+      this.reconcileTimer = setInterval(() => {
+        this.queueFileSync(() => this.reconcileFiles())
+      }, this.config.reconcileInterval)
+    }
+  }
 
-    // Also register/update this index as a dataset named "file-index" so it shows in Loaded Datasets
-    this.registerFileIndexDataset()
-    // Persist snapshot to disk for visibility on restart
-    this.saveFileIndexDatasetToDisk().catch(() => {})
+  queueFileSync(task) {
+    this.fileSyncQueue = this.fileSyncQueue
+      .then(task)
+      .catch(error => console.error('Error syncing files:', error))
+    return this.fileSyncQueue
   }
 
-  // Create an in-memory dataset entry for the local file index so it participates in dataset APIs
-  registerFileIndexDataset() {
+  // Bring one watched path up to date: a file (added or changed), a folder (added or
+  // moved in) or something that no longer exists (a file or a whole folder removed)
+  async syncPath(relativePath) {
+    const filesDir = path.join(this.config.dataDir, 'files')
+    let filePath
     try {
-      const datasetName = 'file-index'
-      // Minimal data payload: one entry per file (used only for counts/metadata)
-      const data = Array.from(this.files.values()).map(file => ({
-        key: file.name,
-        value: JSON.stringify({ id: file.id, name: file.name, size: file.size, type: file.type })
-      }))
+      filePath = resolveInside(filesDir, relativePath)
+    } catch {
+      return
+    }
+    
+    let stats = null
+    try {
+      stats = await fs.stat(filePath)
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+    
+    if (stats?.isDirectory()) {
+      const found = await this.listFilesRecursive(filePath)
+      for (const entryPath of found) {
+        await this.syncFile(entryPath)
+      }
+      for (const file of this.filesUnder(relativePath)) {
+        if (!found.includes(file.path)) this.untrackFile(file, { deleted: true })
+      }
+      if (this.directoryWatchers) this.watchSubdirectories(filesDir, this.onFileChange)
+    } else if (stats?.isFile()) {
+      await this.syncFile(filePath, stats)
+    } else {
+      for (const file of this.filesUnder(relativePath)) {
+        this.untrackFile(file, { deleted: true })
+      }
+    }
+  }
 
-      // Stable-ish hash for the dataset based on the current index keys and file list
-      const keysPart = JSON.stringify(Object.keys(this.filesIndex || {}).sort())
-      const filesPart = JSON.stringify(data.map(d => d.key).sort())
-      const sha1Hash = crypto.createHash('sha1').update(keysPart + '|' + filesPart).digest('hex')
+  // Hosted files at `relativePath` or anywhere below it
+  filesUnder(relativePath) {
+    return this.allFiles().filter(file =>
+      file.relativePath === relativePath || file.relativePath.startsWith(relativePath + '/'))
+  }
 
-      // Compute checksum from normalized data entries for display/verification
-      const sortedDataString = JSON.stringify(data.sort((a, b) => 
-        JSON.stringify(a).localeCompare(JSON.stringify(b))
-      ))
-      const checksum = crypto.createHash('sha256').update(sortedDataString).digest('hex')
+  // Add or update the entry for one file on disk. Returns true if anything changed.
+  async syncFile(filePath, stats) {
+    const tracked = this.allFiles().find(file => file.path === filePath)
+    if (!await this.isInsideFilesDir(filePath)) {
+      if (!tracked) return false
+      console.warn(`🚫 Dropping ${tracked.relativePath}: it now resolves outside the files directory`)
+      this.untrackFile(tracked, { deleted: true })
+      return true
+    }
+    stats = stats || await fs.stat(filePath)
+    if (tracked && tracked.size === stats.size && tracked.mtimeMs === stats.mtimeMs) return false
+    
+    const { hash: fileId, merkleRoot } = await this.hashFile(filePath, stats)
+    if (tracked) this.untrackFile(tracked)
+    
+    const file = this.trackFile(this.createFileEntry(fileId, filePath, stats, merkleRoot))
+    const duplicateOf = this.files.get(fileId) !== file ? ` (same content as ${this.files.get(fileId).relativePath})` : ''
+    console.log(`📄 ${tracked ? 'Updated' : 'Added'} file: ${file.relativePath} (${this.formatSize(stats.size)})${duplicateOf}`)
+    return true
+  }
 
-      // Remove previous registration(s) of file-index to avoid duplicates (including disk-loaded)
-      for (const [hash, ds] of Array.from(this.datasets.entries())) {
-        if (ds?.name === datasetName) {
-          this.datasets.delete(hash)
-        }
+  // Full rescan: pick up anything the watcher missed and drop entries whose file is gone.
+  // Unchanged files cost a stat() each; the hash cache spares re-reading them.
+  async reconcileFiles() {
+    const filesDir = path.join(this.config.dataDir, 'files')
+    const found = await this.listFilesRecursive(filesDir)
+    const present = new Set()
+    let diskUsage = 0
+    let changed = 0
+    
+    for (const filePath of found) {
+      const stats = await fs.stat(filePath).catch(() => null)
+      if (!stats?.isFile()) continue
+      present.add(filePath)
+      diskUsage += stats.size
+      if (await this.syncFile(filePath, stats)) changed++
+    }
+    for (const file of this.allFiles()) {
+      if (!present.has(file.path)) {
+        this.untrackFile(file, { deleted: true })
+        changed++
       }
+    }
+    
+    this.storageUsed = diskUsage
+    if (this.directoryWatchers) this.watchSubdirectories(filesDir, this.onFileChange)
+    if (changed > 0) {
+      console.log(`🔄 Reconciliation scan found ${changed} changed files`)
+    }
+  }
 
-      // Guard: ensure index exists
-      const index = this.filesIndex || {}
+  // Every hosted path, including files whose content is already hosted under another path
+  allFiles() {
+    return [...this.files.values(), ...this.duplicateFiles.values()]
+  }
 
-      this.datasets.set(sha1Hash, {
-        book: null, // Not storing full Book here; index is sufficient for searching
-        index,
-        data,
-        name: datasetName,
-        hash: sha1Hash,
-        checksum: checksum,
+  // Track a new file entry: storage counter, search index and (batched) announcement.
+  // Content that's already hosted is kept as a duplicate: listed and served by path, but
+  // announced and indexed once under its ID
+  trackFile(file) {
+    const existing = this.files.get(file.id)
+    if (existing && existing.path !== file.path) {
+      this.duplicateFiles.set(file.relativePath, file)
+    } else {
+      this.files.set(file.id, file)
+      this.addFileToIndex(file)
+    }
+    this.storageUsed += file.size
+    this.scheduleFilesChanged()
+    return file
+  }
+
+  untrackFile(file, { deleted = false } = {}) {
+    if (this.duplicateFiles.get(file.relativePath) === file) {
+      this.duplicateFiles.delete(file.relativePath)
+    } else if (this.files.get(file.id) === file) {
+      this.files.delete(file.id)
+      this.evictCachedChunks(file.id)
+      this.removeFileFromIndex(file.id)
+    } else {
+      return
+    }
+    this.storageUsed = Math.max(0, this.storageUsed - file.size)
+    if (deleted) {
+      this.fileHashCache.delete(file.relativePath)
+      console.log(`🗑️  Removed file: ${file.relativePath} (${this.formatSize(file.size)})`)
+    }
+    
+    // Another path with the same content takes over the ID
+    const duplicate = Array.from(this.duplicateFiles.values()).find(entry => entry.id === file.id)
+    if (duplicate && !this.files.has(file.id)) {
+      this.duplicateFiles.delete(duplicate.relativePath)
+      this.storageUsed -= duplicate.size
+      this.trackFile(duplicate)
+    }
+    this.scheduleFilesChanged()
+  }
+
+  // Everything derived from the file list is refreshed once per burst of changes
+  scheduleFilesChanged() {
+    clearTimeout(this.filesChangedTimeout)
+    this.filesChangedTimeout = setTimeout(() => {
+      this.registerFileIndexDataset()
+      this.saveFileIndexDatasetToDisk().catch(() => {})
+      this.saveFileHashCache().catch(() => {})
+      if (this.pigeon) {
+        this.announceInterval = 5000 // New content: reset the announcement backoff
+        this.announceAvailability()
+      }
+    }, 500)
+  }
+
+  // Fallback for platforms without recursive fs.watch: one watcher per directory,
+  // refreshed after each reload so new folders are picked up and removed ones released
+  watchSubdirectories(filesDir, onChange) {
+    const dirs = new Set([filesDir])
+    const walk = (dir) => {
+      for (const entry of fsSync.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+          dirs.add(path.join(dir, entry.name))
+          walk(path.join(dir, entry.name))
+        }
+      }
+    }
+    try {
+      walk(filesDir)
+    } catch (error) {
+      console.warn('Failed to scan files directory for watching:', error.message)
+    }
+    
+    for (const [dir, watcher] of this.directoryWatchers) {
+      if (!dirs.has(dir)) {
+        watcher.close()
+        this.directoryWatchers.delete(dir)
+      }
+    }
+    for (const dir of dirs) {
+      if (this.directoryWatchers.has(dir)) continue
+      const watcher = fsSync.watch(dir, (eventType, filename) => {
+        onChange(eventType, filename && path.relative(filesDir, path.join(dir, filename)))
+      })
+      watcher.on('error', () => {
+        watcher.close()
+        this.directoryWatchers.delete(dir)
+      })
+      this.directoryWatchers.set(dir, watcher)
+    }
+  }
+
+  rebuildFilesIndex() {
+    this.filesIndex = Book.index(Book())
+    this.fileIndexTerms.clear()
+    for (const file of this.files.values()) {
+      this.addFileToIndex(file)
+    }
+    
+    console.log(`🔍 Created searchable index for ${this.files.size} files`)
+    console.log(`🔍 Sample index keys:`, Book.words(this.filesIndex).slice(0, 30).join(', '))
+
+    // Also register/update this index as a dataset named "file-index" so it shows in Loaded Datasets
+    this.registerFileIndexDataset()
+    // Persist snapshot to disk for visibility on restart
+    this.saveFileIndexDatasetToDisk().catch(() => {})
+  }
+
+  // Each file is added to filesIndex under every word of its name and folders, with its
+  // metadata as the value, so files can be added and removed without rebuilding the rest
+  // (and files sharing a word don't collide)
+  addFileToIndex(file) {
+    if (!this.filesIndex) this.filesIndex = Book.index(Book())
+    this.removeFileFromIndex(file.id)
+    
+    const keys = new Set()
+    const fileMetadata = JSON.stringify(this.getFileSummary(file))
+    
+    // Get the base filename without extension
+    const nameWithoutExt = file.name.replace(/\.[^.]+$/, '')
+    
+    // Split camelCase/PascalCase and separators
+    const searchableFilename = nameWithoutExt
+      .replace(/([a-z])([A-Z])/g, '$1 $2') // camelCase -> camel Case
+      .replace(/([A-Z])([A-Z][a-z])/g, '$1 $2') // ABCDef -> ABC Def
+      .replace(/[._-]/g, ' ') // Replace separators with spaces
+      .toLowerCase()
+    
+    // Get file extension separately
+    const ext = path.extname(file.name).toLowerCase().replace('.', '')
+    
+    // Split into individual words
+    const words = searchableFilename.split(/\s+/).filter(w => w.length > 0)
+    
+    // Index each word individually for partial matching
+    words.forEach(word => {
+      keys.add(word)
+    })
+    
+    // Folder names, so "reports" finds everything under reports/
+    const folders = file.relativePath.split('/').slice(0, -1)
+    folders.forEach(folder => {
+      const folderWords = folder
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/[._-]/g, ' ')
+        .toLowerCase()
+        .split(/\s+/)
+        .filter(w => w.length > 0)
+      folderWords.forEach(word => keys.add(word))
+    })
+    
+    // Also index the file extension
+    if (ext) {
+      keys.add(ext)
+    }
+    
+    // Index the full searchable name for exact matches
+    keys.add(searchableFilename)
+    
+    // For words without spaces (like "pigeonlogo"), also index all substrings >= 3 chars
+    // This allows "pigeon" to find "pigeonlogo"
+    words.forEach(word => {
+      if (word.length > 6) { // Only for longer words to avoid too many matches
+        for (let i = 0; i <= word.length - 3; i++) {
+          for (let len = 3; len <= word.length - i; len++) {
+            const substring = word.substring(i, i + len)
+            keys.add(substring)
+          }
+        }
+      }
+    })
+    
+    for (const key of keys) {
+      this.filesIndex.add(key, fileMetadata)
+    }
+    this.fileIndexTerms.set(file.id, { value: fileMetadata, keys: Array.from(keys) })
+  }
+
+  removeFileFromIndex(fileId) {
+    const terms = this.fileIndexTerms.get(fileId)
+    if (!terms) return
+    for (const key of terms.keys) {
+      this.filesIndex.remove(key, terms.value)
+    }
+    this.fileIndexTerms.delete(fileId)
+  }
+
+  // Create an in-memory dataset entry for the local file index so it participates in dataset APIs
+  registerFileIndexDataset() {
+    try {
+      const datasetName = 'file-index'
+      // Minimal data payload: one entry per file (used only for counts/metadata)
+      const data = Array.from(this.files.values()).map(file => ({
+        key: file.relativePath,
+        value: JSON.stringify(this.getFileSummary(file))
+      }))
+
+      // Stable-ish hash for the dataset based on the current index words and file list
+      const keysPart = JSON.stringify(Book.words(this.filesIndex || {}).sort())
+      const filesPart = JSON.stringify(data.map(d => d.key).sort())
+      const sha1Hash = crypto.createHash('sha1').update(keysPart + '|' + filesPart).digest('hex')
+
+      // Compute checksum from normalized data entries for display/verification
+      const sortedDataString = JSON.stringify(data.sort((a, b) => 
+        JSON.stringify(a).localeCompare(JSON.stringify(b))
+      ))
+      const checksum = crypto.createHash('sha256').update(sortedDataString).digest('hex')
+
+      // Remove previous registration(s) of file-index to avoid duplicates (including disk-loaded)
+      for (const [hash, ds] of Array.from(this.datasets.entries())) {
+        if (ds?.name === datasetName) {
+          this.datasets.delete(hash)
+        }
+      }
+
+      // Guard: ensure index exists
+      const index = this.filesIndex || {}
+
+      this.datasets.set(sha1Hash, {
+        book: null, // Not storing full Book here; index is sufficient for searching
+        index,
+        data,
+        name: datasetName,
+        hash: sha1Hash,
+        checksum: checksum,
+        analyzer: Book.analyzed(index).config,
         itemCount: data.length,
-        indexSize: Object.keys(index).length
+        indexSize: Book.words(index).length
       })
 
       // Map the name to the hash for lookups
       this.datasetsByName.set(datasetName, sha1Hash)
       this.fileIndexDatasetHash = sha1Hash
 
-      console.log(`✅ Registered dataset: ${datasetName} (${data.length} items, ${Object.keys(index).length} index entries)`) 
+      console.log(`✅ Registered dataset: ${datasetName} (${data.length} items, ${Book.words(index).length} index entries)`) 
     } catch (e) {
       console.warn('Failed to register file-index dataset:', e)
     }
@@ -1202,8 +1832,8 @@ class PigeonFSNode {
       await fs.mkdir(datasetsDir, { recursive: true })
       // Use the same data shape as registerFileIndexDataset
       const data = Array.from(this.files.values()).map(file => ({
-        key: file.name,
-        value: JSON.stringify({ id: file.id, name: file.name, size: file.size, type: file.type })
+        key: file.relativePath,
+        value: JSON.stringify(this.getFileSummary(file))
       }))
       const filePath = path.join(datasetsDir, 'file-index.json')
       await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8')
@@ -1213,8 +1843,205 @@ class PigeonFSNode {
     }
   }
 
-  generateFileId(filename) {
-    return `${Date.now()}_${filename.replace(/[^a-zA-Z0-9.-]/g, '_')}`
+  // Content-addressed file ID: SHA-256 hex of the file contents, same as ChunkStorage.generateFileHash.
+  // The same pass hashes every 64KB chunk and builds the Merkle root published with the file.
+  // Results are cached by path + size + mtime so restarts and reloads don't re-read unchanged files.
+  async hashFile(filePath, stats) {
+    const key = this.getRelativePath(filePath)
+    const cached = this.fileHashCache.get(key)
+    if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs && cached.chunkHashes) {
+      return cached
+    }
+    
+    const chunkSize = 64 * 1024
+    const hasher = crypto.createHash('sha256')
+    const chunkHashes = []
+    const buffer = Buffer.alloc(chunkSize)
+    const fileHandle = await fs.open(filePath, 'r')
+    try {
+      for (let position = 0; position < stats.size; position += chunkSize) {
+        const { bytesRead } = await fileHandle.read(buffer, 0, chunkSize, position)
+        if (bytesRead === 0) break
+        const chunk = buffer.subarray(0, bytesRead)
+        hasher.update(chunk)
+        chunkHashes.push(crypto.createHash('sha256').update(chunk).digest('hex'))
+      }
+    } finally {
+      await fileHandle.close()
+    }
+    
+    const entry = {
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      hash: hasher.digest('hex'),
+      merkleRoot: await computeMerkleRoot(chunkHashes),
+      chunkHashes
+    }
+    this.fileHashCache.set(key, entry)
+    return entry
+  }
+
+  async getFileManifest(file) {
+    const stats = await fs.stat(file.path)
+    const { merkleRoot, chunkHashes } = await this.hashFile(file.path, stats)
+    return { fileId: file.id, size: stats.size, chunkSize: 64 * 1024, merkleRoot, chunkHashes }
+  }
+
+  getFileSummary(file) {
+    return {
+      id: file.id,
+      name: file.name,
+      relativePath: file.relativePath,
+      size: file.size,
+      type: file.type,
+      merkleRoot: file.merkleRoot
+    }
+  }
+
+  // Logical path of a hosted file: relative to files/, always with forward slashes
+  getRelativePath(filePath) {
+    return path.relative(path.join(this.config.dataDir, 'files'), filePath).split(path.sep).join('/')
+  }
+
+  createFileEntry(fileId, filePath, stats, merkleRoot) {
+    return {
+      id: fileId,
+      name: path.basename(filePath),
+      relativePath: this.getRelativePath(filePath),
+      size: stats.size,
+      type: this.getMimeType(filePath),
+      path: filePath,
+      mtimeMs: stats.mtimeMs,
+      merkleRoot
+    }
+  }
+
+  // Nested folder listing of the hosted files, optionally below `prefix` (e.g. "docs/2024")
+  getFileTree(prefix = '') {
+    const rootPath = prefix.split('/').filter(Boolean).join('/')
+    const root = { kind: 'directory', name: rootPath.split('/').pop() || '', path: rootPath, children: [] }
+    const dirs = new Map([[rootPath, root]])
+    const getDir = (dirPath) => {
+      if (dirs.has(dirPath)) return dirs.get(dirPath)
+      const slash = dirPath.lastIndexOf('/')
+      const dir = { kind: 'directory', name: dirPath.slice(slash + 1), path: dirPath, children: [] }
+      getDir(slash === -1 ? '' : dirPath.slice(0, slash)).children.push(dir)
+      dirs.set(dirPath, dir)
+      return dir
+    }
+    
+    for (const file of this.allFiles()) {
+      if (rootPath && !file.relativePath.startsWith(rootPath + '/')) continue
+      const slash = file.relativePath.lastIndexOf('/')
+      const parent = getDir(slash === -1 ? '' : file.relativePath.slice(0, slash))
+      parent.children.push({ ...this.getFileSummary(file), kind: 'file', path: file.relativePath })
+    }
+    
+    const sortTree = (dir) => {
+      dir.children.sort((a, b) => (a.kind === b.kind ? a.name.localeCompare(b.name) : a.kind === 'directory' ? -1 : 1))
+      dir.children.forEach(child => child.children && sortTree(child))
+    }
+    sortTree(root)
+    return rootPath && root.children.length === 0 ? null : root
+  }
+
+  getPermissionsPath() {
+    return this.config.permissionsFile || path.join(this.config.dataDir, 'permissions.json')
+  }
+
+  // Permissions file format:
+  //   { "default": "reader", "peers": { "<peerId>": "admin" }, "publicKeys": { "<pub key>": "uploader" } }
+  // Without a file every peer may read and upload (the behaviour before roles existed)
+  async loadPermissions() {
+    const permissionsPath = this.getPermissionsPath()
+    let raw
+    try {
+      raw = await fs.readFile(permissionsPath, 'utf8')
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`❌ Cannot read ${permissionsPath}:`, error.message)
+      if (this.permissions) console.log('🔓 Permissions file removed - node is open to all peers')
+      this.permissions = null
+      return
+    }
+
+    try {
+      const parsed = JSON.parse(raw)
+      const roles = [parsed.default, ...Object.values(parsed.peers || {}), ...Object.values(parsed.publicKeys || {})]
+      const unknown = roles.filter(role => role !== undefined && !(role in ROLE_LEVELS))
+      if (unknown.length > 0) {
+        throw new Error(`unknown role(s): ${unknown.join(', ')}`)
+      }
+      this.permissions = {
+        default: parsed.default || 'none',
+        peers: parsed.peers || {},
+        publicKeys: parsed.publicKeys || {}
+      }
+      console.log(`🔐 Loaded permissions: ${Object.keys(this.permissions.peers).length} peers, ${Object.keys(this.permissions.publicKeys).length} keys, default role "${this.permissions.default}"`)
+    } catch (error) {
+      // Keep the previous rules rather than falling open on a bad edit; with none, deny everyone
+      console.error(`❌ Invalid permissions file ${permissionsPath}: ${error.message}`)
+      this.permissions = this.permissions || { default: 'none', peers: {}, publicKeys: {} }
+    }
+  }
+
+  getPeerRole(peerId) {
+    if (!this.permissions) return 'uploader'
+
+    const { peers, publicKeys } = this.permissions
+    if (peers[peerId]) return peers[peerId]
+
+    const publicKey = this.pigeon?.cryptoManager?.peerKeys?.get(peerId)?.pub
+    if (publicKey && publicKeys[publicKey]) return publicKeys[publicKey]
+
+    return this.permissions.default
+  }
+
+  hasRole(peerId, requiredRole) {
+    return ROLE_LEVELS[this.getPeerRole(peerId)] >= ROLE_LEVELS[requiredRole]
+  }
+
+  async denyRequest(peerId, content, requiredRole) {
+    const role = this.getPeerRole(peerId)
+    console.warn(`🚫 Denied ${content.type} from ${peerId.substring(0, 8)} (role "${role}", needs "${requiredRole}")`)
+    await this.replyError(peerId, content, ERROR_CODES.FORBIDDEN, `Permission denied: ${content.type} requires the "${requiredRole}" role`, {
+      type: 'permission-denied',
+      fileName: content.fileName,
+      role,
+      requiredRole
+    })
+  }
+
+  async handleFileDeleteRequest(fromPeerId, content) {
+    const file = this.findFile(content.fileId || content.fileName)
+    if (!file) {
+      console.log(`❌ File not found: ${content.fileId || content.fileName}`)
+      await this.replyError(fromPeerId, content, ERROR_CODES.NOT_FOUND, `File not found: ${content.fileId || content.fileName}`)
+      return
+    }
+
+    await this.removeFile(file.id)
+    await this.reply(fromPeerId, content, 'file-deleted', {
+      fileId: file.id,
+      fileName: file.name
+    })
+  }
+
+  async loadFileHashCache() {
+    try {
+      const raw = await fs.readFile(path.join(this.config.dataDir, 'file-hashes.json'), 'utf8')
+      this.fileHashCache = new Map(Object.entries(JSON.parse(raw)))
+    } catch {
+      this.fileHashCache = new Map()
+    }
+  }
+
+  async saveFileHashCache() {
+    try {
+      const data = Object.fromEntries(this.fileHashCache)
+      await fs.writeFile(path.join(this.config.dataDir, 'file-hashes.json'), JSON.stringify(data), 'utf8')
+    } catch (e) {
+      console.warn('Failed to save file hash cache:', e)
+    }
   }
 
   getMimeType(filename) {
@@ -1273,8 +2100,9 @@ class PigeonFSNode {
       this.httpServer = http.createServer(async (req, res) => {
         // Enable CORS
         res.setHeader('Access-Control-Allow-Origin', '*')
-        res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS')
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+        res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, PUT, DELETE, OPTIONS')
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Range, If-None-Match, If-Range')
+        res.setHeader('Access-Control-Expose-Headers', 'Accept-Ranges, Content-Length, Content-Range, ETag')
 
         if (req.method === 'OPTIONS') {
           res.writeHead(200)
@@ -1282,21 +2110,126 @@ class PigeonFSNode {
           return
         }
 
+        const { pathname } = new URL(req.url, 'http://localhost')
+
         // List files endpoint (read-only)
-        if (req.method === 'GET' && req.url === '/files') {
-          const fileList = Array.from(this.files.values()).map(f => ({
-            id: f.id,
-            name: f.name,
-            size: f.size,
-            type: f.type
-          }))
+        if (req.method === 'GET' && pathname === '/files') {
+          const fileList = this.allFiles().map(f => this.getFileSummary(f))
           res.writeHead(200, { 'Content-Type': 'application/json' })
           res.end(JSON.stringify(fileList))
           return
         }
 
+        // Folder tree of hosted files (?path=docs for a subtree)
+        if (req.method === 'GET' && pathname === '/tree') {
+          const prefix = new URL(req.url, 'http://localhost').searchParams.get('path') || ''
+          const tree = this.getFileTree(prefix)
+          if (!tree) {
+            this.sendJson(res, 404, { error: `No such folder: ${prefix}` })
+            return
+          }
+          this.sendJson(res, 200, tree)
+          return
+        }
+
+        // A dataset's index in Book.serializeIndex() form, by dataset name or SHA1
+        if (req.method === 'GET' && /^\/datasets\/[^/]+\/index$/.test(pathname)) {
+          let ref
+          try {
+            ref = decodeURIComponent(pathname.split('/')[2])
+          } catch {
+            this.sendJson(res, 400, { error: 'Malformed dataset name' })
+            return
+          }
+          const ds = this.datasets.get(this.datasetsByName.get(ref) || ref)
+          if (!ds) {
+            this.sendJson(res, 404, { error: `No such dataset: ${ref}` })
+            return
+          }
+          this.sendJson(res, 200, Book.serializeIndex(ds.index))
+          return
+        }
+
+        // Download a hosted file by ID (falls back to lookup by path or filename)
+        if ((req.method === 'GET' || req.method === 'HEAD') && pathname.startsWith('/files/')) {
+          let ref
+          try {
+            ref = decodeURIComponent(pathname.slice('/files/'.length))
+          } catch {
+            res.writeHead(400)
+            res.end('Bad Request')
+            return
+          }
+
+          const file = this.findFile(ref)
+          if (!file) {
+            res.writeHead(404)
+            res.end('Not Found')
+            return
+          }
+
+          await this.serveFile(req, res, file)
+          return
+        }
+
+        // Upload (PUT /files/:name) and delete (DELETE /files/:id) - token protected
+        if ((req.method === 'PUT' || req.method === 'DELETE') && pathname.startsWith('/files/')) {
+          if (!this.config.apiToken) {
+            this.sendJson(res, 403, { error: 'Write API disabled: set API_TOKEN to enable uploads and deletes' })
+            return
+          }
+          if (!this.isAuthorized(req)) {
+            this.sendJson(res, 401, { error: 'Invalid or missing API token' })
+            return
+          }
+
+          let ref
+          try {
+            ref = decodeURIComponent(pathname.slice('/files/'.length))
+          } catch {
+            this.sendJson(res, 400, { error: 'Malformed file name' })
+            return
+          }
+
+          if (req.method === 'PUT') {
+            await this.handleHttpUpload(req, res, ref)
+          } else {
+            await this.handleHttpDelete(res, ref)
+          }
+          return
+        }
+
+        // Unfinished downloads from other peers, with how much of each is on disk
+        if (req.method === 'GET' && pathname === '/downloads') {
+          const unfinished = await this.resumeStore.list()
+          this.sendJson(res, 200, unfinished.map(({ fileId, name, size, totalChunks, received, peerIds }) => ({
+            fileId,
+            name,
+            size,
+            receivedChunks: received.size,
+            totalChunks,
+            active: this.downloads.has(fileId),
+            peerIds
+          })))
+          return
+        }
+
+        // Fetch a file from other peers into files/ (token protected): { fileId, name, peerIds?, merkleRoot? }
+        if (req.method === 'POST' && pathname === '/downloads') {
+          if (!this.config.apiToken) {
+            this.sendJson(res, 403, { error: 'Write API disabled: set API_TOKEN to enable downloads' })
+            return
+          }
+          if (!this.isAuthorized(req)) {
+            this.sendJson(res, 401, { error: 'Invalid or missing API token' })
+            return
+          }
+          await this.handleHttpDownload(req, res)
+          return
+        }
+
         // Status/info page
-        if (req.method === 'GET' && req.url === '/') {
+        if (req.method === 'GET' && pathname === '/') {
           res.writeHead(200, { 'Content-Type': 'text/html' })
           res.end(this.getInfoPageHtml())
           return
@@ -1320,45 +2253,487 @@ class PigeonFSNode {
     })
   }
 
-  async addFile(filename, buffer) {
-    const fileId = this.generateFileId(filename)
-    const filesDir = path.join(this.config.dataDir, 'files')
-    const filePath = path.join(filesDir, filename)
-    
-    // Check storage quota
-    if (this.storageUsed + buffer.length > this.config.storageQuota) {
+  findFile(ref) {
+    if (this.files.has(ref)) return this.files.get(ref)
+    const files = this.allFiles()
+    return files.find(file => file.relativePath === ref) || files.find(file => file.name === ref) || null
+  }
+
+  // Parse a single "bytes=start-end" range. Returns null to serve the whole file,
+  // or -1 when the range can't be satisfied. Multi-range requests are served whole.
+  parseRangeHeader(header, size) {
+    if (!header) return null
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim())
+    if (!match) return null
+    const [, startStr, endStr] = match
+    if (!startStr && !endStr) return -1
+
+    let start, end
+    if (!startStr) {
+      // Suffix range: last N bytes
+      const suffix = parseInt(endStr, 10)
+      if (suffix === 0) return -1
+      start = Math.max(0, size - suffix)
+      end = size - 1
+    } else {
+      start = parseInt(startStr, 10)
+      end = endStr ? Math.min(parseInt(endStr, 10), size - 1) : size - 1
+    }
+
+    if (start >= size || start > end) return -1
+    return { start, end }
+  }
+
+  async serveFile(req, res, file) {
+    let filePath, stats
+    try {
+      filePath = await this.resolveHostedPath(file)
+      stats = await fs.stat(filePath)
+    } catch (error) {
+      if (error.reason === 'path-traversal') {
+        console.warn(`🚫 [DOWNLOAD] Refusing ${file.relativePath}: ${error.message}`)
+      }
+      res.writeHead(404)
+      res.end('Not Found')
+      return
+    }
+
+    const size = stats.size
+    const etag = `"${size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`
+    const headers = {
+      'Content-Type': file.type || this.getMimeType(file.name),
+      'Accept-Ranges': 'bytes',
+      'ETag': etag,
+      'Last-Modified': stats.mtime.toUTCString(),
+      'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(file.name)}`
+    }
+
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, headers)
+      res.end()
+      return
+    }
+
+    // Ignore Range if If-Range names a different version of the file
+    const ifRange = req.headers['if-range']
+    const range = ifRange && ifRange !== etag ? null : this.parseRangeHeader(req.headers.range, size)
+
+    if (range === -1) {
+      res.writeHead(416, { ...headers, 'Content-Range': `bytes */${size}` })
+      res.end()
+      return
+    }
+
+    const start = range ? range.start : 0
+    const end = range ? range.end : size - 1
+    const length = size === 0 ? 0 : end - start + 1
+
+    if (range) {
+      res.writeHead(206, { ...headers, 'Content-Range': `bytes ${start}-${end}/${size}`, 'Content-Length': length })
+    } else {
+      res.writeHead(200, { ...headers, 'Content-Length': length })
+    }
+
+    if (req.method === 'HEAD' || length === 0) {
+      res.end()
+      return
+    }
+
+    const stream = fsSync.createReadStream(filePath, { start, end })
+    stream.on('error', (error) => {
+      console.error(`❌ [DOWNLOAD] HTTP read failed for ${file.name}:`, error.message)
+      res.destroy(error)
+    })
+    res.on('close', () => stream.destroy())
+    stream.pipe(res)
+    console.log(`📤 [DOWNLOAD] HTTP ${range ? `range ${start}-${end} of` : 'full'} ${file.name} (${this.formatSize(length)})`)
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(body))
+  }
+
+  isAuthorized(req) {
+    const header = req.headers.authorization || ''
+    const token = header.startsWith('Bearer ') ? header.slice(7) : req.headers['x-api-token']
+    if (!token) return false
+    const expected = Buffer.from(this.config.apiToken)
+    const given = Buffer.from(String(token))
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  }
+
+  async handleHttpUpload(req, res, requestedName) {
+    let filename
+    try {
+      filename = sanitizeFileName(requestedName)
+    } catch (error) {
+      this.sendJson(res, 400, { error: error.message, reason: error.reason })
+      return
+    }
+
+    // Replacing a file frees its current size from the quota
+    const existing = this.allFiles().find(f => f.relativePath === filename)
+    const reclaimable = existing ? existing.size : 0
+
+    const declaredSize = parseInt(req.headers['content-length'] || '', 10)
+    if (!isNaN(declaredSize)) {
+      try {
+        this.checkStorageQuota(declaredSize - reclaimable)
+      } catch (error) {
+        res.setHeader('Connection', 'close')
+        this.sendJson(res, 413, { error: error.message })
+        return
+      }
+    }
+
+    // Stream the body to a temp file, enforcing the quota as bytes arrive
+    const tempPath = path.join(this.config.dataDir, 'temp', `http-upload-${crypto.randomBytes(8).toString('hex')}`)
+    await fs.mkdir(path.dirname(tempPath), { recursive: true })
+    const fileHandle = await fs.open(tempPath, 'w')
+    let received = 0
+
+    try {
+      for await (const chunk of req) {
+        received += chunk.length
+        this.checkStorageQuota(received - reclaimable)
+        await fileHandle.write(chunk)
+      }
+      await fileHandle.close()
+    } catch (error) {
+      await fileHandle.close().catch(() => {})
+      await fs.unlink(tempPath).catch(() => {})
+      if (error.code === 'QUOTA_EXCEEDED') {
+        res.setHeader('Connection', 'close')
+        this.sendJson(res, 413, { error: error.message })
+      } else {
+        console.error(`❌ HTTP upload failed for ${filename}:`, error)
+        if (!res.headersSent) this.sendJson(res, 500, { error: error.message })
+      }
+      return
+    }
+
+    console.log(`📥 Starting upload: ${filename} (${this.formatSize(received)}) via HTTP`)
+
+    try {
+      // PUT names the target explicitly, so it replaces rather than suffixing; the file
+      // being replaced stays tracked until registerFile() has the new one in place
+      const fileId = await this.addFileFromPath(filename, tempPath, { replace: true })
+      const file = this.files.get(fileId)
+      this.sendJson(res, existing ? 200 : 201, this.getFileSummary(file))
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {})
+      // If it failed after the move, track whatever is at the path now rather than stale metadata
+      if (existing) {
+        await this.syncFile(existing.path).catch(syncError => console.error(`❌ Cannot re-read ${filename}:`, syncError))
+      }
+      this.sendJson(res, error.code === 'QUOTA_EXCEEDED' ? 413 : 500, { error: error.message })
+    }
+  }
+
+  async handleHttpDownload(req, res) {
+    let request
+    try {
+      let body = ''
+      for await (const chunk of req) {
+        body += chunk
+        if (body.length > 64 * 1024) throw new Error('Request body too large')
+      }
+      request = JSON.parse(body)
+      if (typeof request?.fileId !== 'string' || !/^[0-9a-f]{64}$/.test(request.fileId)) {
+        throw new Error('fileId must be a SHA-256 hex string')
+      }
+      if (request.name !== undefined) sanitizeFileName(request.name)
+      if (request.peerIds !== undefined && !(Array.isArray(request.peerIds) && request.peerIds.every(id => typeof id === 'string'))) {
+        throw new Error('peerIds must be an array of peer IDs')
+      }
+    } catch (error) {
+      this.sendJson(res, 400, { error: error.message })
+      return
+    }
+
+    if (this.files.has(request.fileId)) {
+      this.sendJson(res, 200, this.getFileSummary(this.files.get(request.fileId)))
+      return
+    }
+
+    // Downloads can take hours; answer right away and let GET /downloads report progress
+    this.downloadFile(request.fileId, request).catch(error => {
+      console.warn(`⚠️  Download of ${request.name || request.fileId} paused: ${error.message}`)
+    })
+    this.sendJson(res, 202, { fileId: request.fileId, status: 'downloading' })
+  }
+
+  async handleHttpDelete(res, ref) {
+    const file = this.findFile(ref)
+    if (!file) {
+      this.sendJson(res, 404, { error: 'File not found' })
+      return
+    }
+
+    try {
+      await this.removeFile(file.id, file)
+      this.sendJson(res, 200, { deleted: file.id, name: file.name })
+    } catch (error) {
+      console.error(`❌ Failed to delete ${file.name}:`, error)
+      this.sendJson(res, 500, { error: error.message })
+    }
+  }
+
+  checkStorageQuota(additionalBytes) {
+    if (this.storageUsed + additionalBytes > this.config.storageQuota) {
       const quotaGB = (this.config.storageQuota / (1024 * 1024 * 1024)).toFixed(2)
       const usedGB = (this.storageUsed / (1024 * 1024 * 1024)).toFixed(2)
-      const fileGB = (buffer.length / (1024 * 1024 * 1024)).toFixed(2)
-      throw new Error(`Storage quota exceeded! Used: ${usedGB}GB / ${quotaGB}GB. File size: ${fileGB}GB`)
+      const fileGB = (additionalBytes / (1024 * 1024 * 1024)).toFixed(2)
+      const error = new Error(`Storage quota exceeded! Used: ${usedGB}GB / ${quotaGB}GB. File size: ${fileGB}GB`)
+      error.code = 'QUOTA_EXCEEDED'
+      throw error
+    }
+  }
+
+  // `file` picks one path when several hold the same content (default: the one announced)
+  async removeFile(fileId, file = this.files.get(fileId)) {
+    if (!file) return false
+
+    await fs.unlink(file.path).catch((error) => {
+      if (error.code !== 'ENOENT') throw error
+    })
+
+    // Drops it from the index and announces so peers drop the file
+    this.untrackFile(file, { deleted: true })
+
+    return true
+  }
+
+  // Sanitize a peer-supplied name and pick where it goes in files/. Unless replacing,
+  // an existing file of the same name is kept and the new one gets a " (n)" suffix.
+  async resolveIncomingFile(requestedName, { replace = false } = {}) {
+    const filesDir = path.join(this.config.dataDir, 'files')
+    let filename = sanitizeFileName(requestedName)
+    if (!replace) {
+      filename = await availableFileName(filesDir, filename)
+    }
+    if (filename !== requestedName) {
+      console.log(`📝 Storing "${requestedName}" as "${filename}"`)
+    }
+    return { filename, filePath: resolveInside(filesDir, filename) }
+  }
+
+  async rejectUpload(peerId, request, error) {
+    const { fileId, fileName } = request
+    console.warn(`🚫 Rejected upload "${fileName}" from ${peerId.substring(0, 8)}: ${error.message}`)
+    
+    if (fileId) {
+      const uploadKey = `${peerId}:${fileId}`
+      this.rejectedUploads.add(uploadKey)
+      setTimeout(() => this.rejectedUploads.delete(uploadKey), 10 * 60 * 1000)
     }
     
+    const codes = { INVALID_FILENAME: ERROR_CODES.BAD_REQUEST, QUOTA_EXCEEDED: ERROR_CODES.QUOTA_EXCEEDED, BUSY: ERROR_CODES.BUSY }
+    await this.replyError(peerId, request, codes[error.code] || ERROR_CODES.BAD_REQUEST, error.message, {
+      type: 'upload-rejected',
+      fileName,
+      reason: error.reason || (error.code === 'QUOTA_EXCEEDED' ? 'quota-exceeded' : error.code === 'BUSY' ? 'busy' : 'invalid'),
+      ...(error.code === 'BUSY' ? { retryAfter: 5000 } : {})
+    })
+  }
+
+  async addFile(requestedName, buffer, options) {
+    const { filename, filePath } = await this.resolveIncomingFile(requestedName, options)
+    
+    // Check storage quota
+    this.checkStorageQuota(buffer.length)
+    
     // Save to disk
     await fs.writeFile(filePath, buffer)
     
-    // Add to in-memory map
-    this.files.set(fileId, {
-      id: fileId,
-      name: filename,
-      size: buffer.length,
-      type: this.getMimeType(filename),
-      buffer: buffer
-    })
+    return this.registerFile(filename, filePath)
+  }
+
+  // Move an already-written file (e.g. an assembled upload in temp/) into the files directory
+  async addFileFromPath(requestedName, sourcePath, options) {
+    const stats = await fs.stat(sourcePath)
+    let filename, filePath
     
-    this.storageUsed += buffer.length
+    try {
+      ({ filename, filePath } = await this.resolveIncomingFile(requestedName, options))
+      // Replacing a file frees its current size (it stays tracked until the new one is in place)
+      const replaced = this.allFiles().find(file => file.path === filePath)
+      this.checkStorageQuota(stats.size - (replaced ? replaced.size : 0))
+    } catch (error) {
+      await fs.unlink(sourcePath).catch(() => {})
+      throw error
+    }
+    
+    try {
+      await fs.rename(sourcePath, filePath)
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error
+      // temp/ lives on another device - copy instead
+      await fs.copyFile(sourcePath, filePath)
+      await fs.unlink(sourcePath)
+    }
+    
+    return this.registerFile(filename, filePath)
+  }
+
+  async registerFile(filename, filePath) {
+    const stats = await fs.stat(filePath)
+    const { hash: fileId, merkleRoot } = await this.hashFile(filePath, stats)
+    
+    // Overwriting a file on disk replaces whatever entry pointed at that path
+    const replaced = this.allFiles().find(file => file.path === filePath)
+    if (replaced) this.untrackFile(replaced)
+    
+    // Add metadata to in-memory map (contents are read from disk on demand), index it
+    // and announce - the announcement backoff resets since we have new content
+    const file = this.trackFile(this.createFileEntry(fileId, filePath, stats, merkleRoot))
+    if (this.files.get(fileId) !== file) {
+      console.log(`📄 ${filename} has the same content as ${this.files.get(fileId).relativePath}; keeping existing ID ${fileId.substring(0, 8)}...`)
+      return fileId
+    }
     
     const usedGB = (this.storageUsed / (1024 * 1024 * 1024)).toFixed(2)
     const quotaGB = (this.config.storageQuota / (1024 * 1024 * 1024)).toFixed(2)
-    console.log(`✅ Added file: ${filename} (${this.formatSize(buffer.length)}) - Storage: ${usedGB}GB / ${quotaGB}GB`)
-    
-    // Rebuild index and announce - reset backoff since we have new content
-    this.rebuildFilesIndex()
-    this.announceInterval = 5000 // Reset to 5 seconds for quick re-announcement
-    this.announceAvailability()
+    console.log(`✅ Added file: ${filename} (${this.formatSize(stats.size)}) - Storage: ${usedGB}GB / ${quotaGB}GB`)
     
     return fileId
   }
 
+  // Fetch a file from other peers into files/. Chunks are kept in downloads/ as they arrive
+  // (see src/transfer/FileResumeStore.js), so an interrupted download carries on where it stopped
+  async downloadFile(fileId, options = {}) {
+    if (this.files.has(fileId)) {
+      await this.resumeStore.discard(fileId) // Already here, e.g. finished just before a restart
+      return fileId
+    }
+    if (!this.downloads.has(fileId)) {
+      const running = this.runDownload(fileId, options).finally(() => this.downloads.delete(fileId))
+      this.downloads.set(fileId, running)
+    }
+    return this.downloads.get(fileId)
+  }
+
+  async runDownload(fileId, { name, peerIds, merkleRoot } = {}) {
+    const previous = await this.resumeStore.load(fileId)
+    const providers = [peerIds, previous?.peerIds, this.getConnectedPeerIds()].find(list => list?.length > 0)
+    if (!providers) {
+      throw new Error(`No peers to download ${fileId} from`)
+    }
+
+    const manifest = await this.fetchVerifiedManifest(fileId, providers, merkleRoot || previous?.merkleRoot)
+    if (!manifest) {
+      throw new Error(`No peer returned a valid manifest for ${fileId}`)
+    }
+    const received = previous?.merkleRoot === manifest.merkleRoot ? previous.received.size * manifest.chunkSize : 0
+    this.checkStorageQuota(manifest.size - Math.min(received, manifest.size))
+
+    const download = await this.resumeStore.open({
+      fileId,
+      name: name || previous?.name || fileId,
+      size: manifest.size,
+      chunkSize: manifest.chunkSize,
+      totalChunks: manifest.chunkHashes.length,
+      merkleRoot: manifest.merkleRoot,
+      chunkHashes: manifest.chunkHashes,
+      peerIds: providers
+    })
+
+    const queue = this.resumeStore.missingChunks(fileId)
+    if (queue.length < download.totalChunks) {
+      console.log(`📥 Resuming ${download.name}: ${download.totalChunks - queue.length}/${download.totalChunks} chunks already on disk`)
+    } else {
+      console.log(`📥 Downloading ${download.name} (${this.formatSize(download.size)}) from ${providers.length} peer(s)`)
+    }
+
+    // A few chunks in flight at once; the first failure stops the rest
+    const worker = async () => {
+      while (queue.length > 0) {
+        const chunkIndex = queue.shift()
+        try {
+          const bytes = await this.fetchChunk(fileId, chunkIndex, providers, download.chunkHashes[chunkIndex])
+          await this.resumeStore.writeChunk(fileId, chunkIndex, bytes)
+        } catch (error) {
+          queue.length = 0
+          throw error
+        }
+      }
+    }
+    try {
+      await Promise.all(Array.from({ length: Math.min(4, queue.length) }, worker))
+    } finally {
+      await this.resumeStore.save(fileId)
+    }
+
+    const tempPath = path.join(this.config.dataDir, 'temp', `download-${crypto.randomBytes(8).toString('hex')}`)
+    const hash = await this.resumeStore.finalize(fileId, tempPath)
+    if (hash !== fileId) {
+      await fs.unlink(tempPath).catch(() => {})
+      throw new Error(`Downloaded content hashes to ${hash}, not ${fileId}`)
+    }
+
+    const storedId = await this.addFileFromPath(download.name, tempPath)
+    console.log(`📥 Download complete: ${this.files.get(storedId).relativePath} (${this.formatSize(download.size)})`)
+    return storedId
+  }
+
+  // Chunk-hash manifest from the first provider whose list matches the Merkle root
+  // (`expectedRoot` when known, otherwise the root the manifest itself claims)
+  async fetchVerifiedManifest(fileId, peerIds, expectedRoot) {
+    for (const peerId of peerIds) {
+      const manifest = await this.rpc.request(peerId, { type: 'file-manifest-request', fileId }, { timeout: 10000 })
+        .catch(error => {
+          console.warn(`⚠️  Manifest request to ${peerId.substring(0, 8)} failed (${error.code}): ${error.message}`)
+          return null
+        })
+      if (manifest && await verifyManifest(manifest, expectedRoot)) {
+        console.log(`🔐 Verified manifest for ${fileId.substring(0, 8)} from ${peerId.substring(0, 8)} (${manifest.chunkHashes.length} chunks)`)
+        return manifest
+      }
+    }
+    return null
+  }
+
+  // One verified chunk. Providers are tried in turn, starting at a different one per chunk
+  // to spread the load; BUSY replies are waited out
+  async fetchChunk(fileId, chunkIndex, peerIds, expectedHash) {
+    for (let attempt = 0; attempt < peerIds.length * 3; attempt++) {
+      const peerId = peerIds[(chunkIndex + attempt) % peerIds.length]
+      try {
+        const reply = await this.rpc.request(peerId, { type: 'file-chunk-request', fileId, chunkIndex, encodings: CHUNK_ENCODINGS }, { timeout: 30000 })
+        const bytes = decodeChunkPayload(reply)
+        if (bytes && await verifyChunk(bytes, expectedHash)) return bytes
+        console.warn(`⚠️  Chunk ${chunkIndex} of ${fileId.substring(0, 8)} from ${peerId.substring(0, 8)} failed verification`)
+      } catch (error) {
+        if (error.code !== ERROR_CODES.BUSY) {
+          console.warn(`⚠️  Chunk ${chunkIndex} request to ${peerId.substring(0, 8)} failed (${error.code}): ${error.message}`)
+          continue
+        }
+        await new Promise(resolve => setTimeout(resolve, error.response?.retryAfter || 5000))
+      }
+    }
+    throw new Error(`No peer sent a valid chunk ${chunkIndex} of ${fileId}`)
+  }
+
+  // Restart unfinished downloads in the background; with `peerId`, only those it provides
+  async resumeDownloads(peerId = null) {
+    const unfinished = (await this.resumeStore.list())
+      .filter(download => !this.downloads.has(download.fileId))
+      .filter(download => !peerId || download.peerIds?.includes(peerId))
+    if (unfinished.length > 0 && !peerId) {
+      console.log(`📥 Resuming ${unfinished.length} unfinished download(s)`)
+    }
+    for (const download of unfinished) {
+      this.downloadFile(download.fileId).catch(error => {
+        console.warn(`⚠️  Download of ${download.name} paused: ${error.message}`)
+      })
+    }
+  }
+
+  getConnectedPeerIds() {
+    return Array.from(this.pigeon?.connectionManager?.peers?.keys() || [])
+  }
+
   getInfoPageHtml() {
     return `<!DOCTYPE html>
 <html>
@@ -1408,7 +2783,7 @@ class PigeonFSNode {
         
         const listHtml = files.map(f => 
           \`<div class="file-item">
-            <span>\${f.name}</span>
+            <a href="/files/\${encodeURIComponent(f.id)}">\${f.relativePath || f.name}</a>
             <span>\${formatSize(f.size)}</span>
           </div>\`
         ).join('')
@@ -1464,7 +2839,11 @@ class PigeonFSNode {
       console.log(`📂 Loading dataset: ${datasetId}`)
       
       const fileContent = await fs.readFile(filePath, 'utf8')
-      const data = JSON.parse(fileContent)
+      const parsed = JSON.parse(fileContent)
+      // A list of {key, value}, or { analyzer, entries } to index it with a Book.analyzer config
+      const data = Array.isArray(parsed) ? parsed : parsed.entries
+      if (!Array.isArray(data)) throw new Error('expected a list of entries or { analyzer, entries }')
+      const analyzer = Book.analyzer(Array.isArray(parsed) ? undefined : parsed.analyzer)
       
       // Calculate SHA1 hash of the raw content
       const sha1Hash = crypto.createHash('sha1').update(fileContent).digest('hex')
@@ -1490,8 +2869,14 @@ class PigeonFSNode {
         book.set(entry.key, entry.value)
       })
       
-      // Build index
-      const index = Book.index(book)
+      // Build index, unless it was built the last time this exact file was loaded
+      let index = await this.loadIndexCache(sha1Hash, analyzer)
+      if (index) {
+        console.log(`📇 Using cached index for ${datasetId}`)
+      } else {
+        index = Book.index(book, analyzer)
+        await this.saveIndexCache(sha1Hash, index)
+      }
       
       this.datasets.set(sha1Hash, {
         book,
@@ -1500,14 +2885,15 @@ class PigeonFSNode {
         name: datasetId,
         hash: sha1Hash,
         checksum: checksum,
+        analyzer: analyzer.config,
         itemCount: data.length,
-        indexSize: Object.keys(index).length
+        indexSize: Book.words(index).length
       })
       
       // Map the name to the hash
       this.datasetsByName.set(datasetId, sha1Hash)
       
-      console.log(`✅ Loaded ${datasetId}: ${data.length} items, ${Object.keys(index).length} index entries`)
+      console.log(`✅ Loaded ${datasetId}: ${data.length} items, ${Book.words(index).length} index entries`)
       console.log(`   SHA1: ${sha1Hash}`)
       console.log(`   Checksum: ${checksum.substring(0, 16)}...`)
       
@@ -1518,6 +2904,30 @@ class PigeonFSNode {
     }
   }
 
+  // Dataset indexes are cached under data/indexes/ as Book.serializeIndex() JSON, named by
+  // the SHA1 of the dataset file, so restarts don't rebuild them
+  indexCachePath(sha1Hash) {
+    return path.join(this.config.dataDir, 'indexes', `${sha1Hash}.json`)
+  }
+
+  async loadIndexCache(sha1Hash, analyzer) {
+    try {
+      const index = Book.loadIndex(await fs.readFile(this.indexCachePath(sha1Hash), 'utf8'))
+      return Book.analyzed(index).id === analyzer.id ? index : null
+    } catch {
+      return null // Not cached yet or unreadable: build it
+    }
+  }
+
+  async saveIndexCache(sha1Hash, index) {
+    try {
+      await fs.mkdir(path.join(this.config.dataDir, 'indexes'), { recursive: true })
+      await fs.writeFile(this.indexCachePath(sha1Hash), JSON.stringify(Book.serializeIndex(index)), 'utf8')
+    } catch (e) {
+      console.warn('Failed to cache dataset index:', e)
+    }
+  }
+
   async loadBibleDataset() {
     try {
       const response = await fetch('https://raw.githubusercontent.com/thiagobodruk/bible/refs/heads/master/json/en_kjv.json')
@@ -1556,7 +2966,8 @@ class PigeonFSNode {
       hash: ds.hash,
       checksum: ds.checksum,
       itemCount: ds.itemCount,
-      indexSize: ds.indexSize
+      indexSize: ds.indexSize,
+      analyzer: ds.analyzer
     }))
     
     console.log(`📡 Preparing announcement with ${datasetsArray.length} datasets:`, datasetsArray.map(d => d.name))
@@ -1565,16 +2976,11 @@ class PigeonFSNode {
       type: 'node-announcement',
       peerId: this.pigeon?.peerId,
       nodeType: 'pigeonfs-server',
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: NODE_CAPABILITIES,
+      transferEncodings: CHUNK_ENCODINGS, // Chunk encodings accepted for file-chunk-upload
       datasets: datasetsArray,
-      files: Array.from(this.files.keys()).map(fileId => {
-        const file = this.files.get(fileId)
-        return {
-          id: fileId,
-          name: file.name,
-          size: file.size,
-          type: file.type
-        }
-      }),
+      files: Array.from(this.files.values()).map(file => this.getFileSummary(file)),
       timestamp: Date.now()
     }
     
@@ -1606,6 +3012,7 @@ class PigeonFSNode {
     console.log(`   Hosted Files: ${this.files.size}`)
     console.log(`   Active Uploads: ${this.uploadingFiles?.size || 0}`)
     console.log(`   Active Downloads: ${this.activeDownloads.size}`)
+    console.log(`   Chunk Cache: ${this.chunkCache.size}/${this.config.chunkCacheSize} chunks`)
     console.log(`   Memory: Heap ${this.formatSize(mem.heapUsed)} / ${this.formatSize(mem.heapTotal)} | RSS ${this.formatSize(mem.rss)}`)
     console.log('')
   }
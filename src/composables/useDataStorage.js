@@ -1,10 +1,12 @@
 // IndexedDB storage for searchable datasets (Bible, dictionaries, encyclopedias, etc.)
 
 const DB_NAME = 'PigeonFS_Data'
-const DB_VERSION = 1
+const DB_VERSION = 2
 const STORE_DATASETS = 'datasets'
 const STORE_INDEXES = 'indexes'
 const STORE_CACHE = 'cache'
+const STORE_DOWNLOADS = 'downloads'
+const STORE_DOWNLOAD_CHUNKS = 'downloadChunks'
 
 // Open or create the IndexedDB database
 const openDB = () => {
@@ -28,6 +30,12 @@ const openDB = () => {
         // Cache store with compound keys: datasetId + itemKey
         db.createObjectStore(STORE_CACHE, { keyPath: 'id', autoIncrement: true })
       }
+      if (!db.objectStoreNames.contains(STORE_DOWNLOADS)) {
+        db.createObjectStore(STORE_DOWNLOADS) // key: fileId, value: resume manifest
+      }
+      if (!db.objectStoreNames.contains(STORE_DOWNLOAD_CHUNKS)) {
+        db.createObjectStore(STORE_DOWNLOAD_CHUNKS) // key: [fileId, chunkIndex], value: Uint8Array
+      }
     }
   })
 }
@@ -70,9 +78,12 @@ export const loadDataset = async (datasetId) => {
   })
 }
 
-// Save dataset index
+// Number of words in an index, stored as Book.serializeIndex() or (older caches) a plain word -> postings object
+const wordCount = (index) => Object.keys(index.format === 'book-index' ? index.words : index).length
+
+// Save dataset index (Book.serializeIndex() form; Book.loadIndex() turns it back into a searchable index)
 export const saveDatasetIndex = async (datasetId, index) => {
-  console.log(`🔍 saveDatasetIndex called: datasetId="${datasetId}", index keys=${Object.keys(index).length}`)
+  console.log(`🔍 saveDatasetIndex called: datasetId="${datasetId}", index words=${wordCount(index)}`)
   const db = await openDB()
   return new Promise((resolve, reject) => {
     const tx = db.transaction(STORE_INDEXES, 'readwrite')
@@ -80,7 +91,7 @@ export const saveDatasetIndex = async (datasetId, index) => {
     const request = store.put(index, datasetId)
     
     request.onsuccess = () => {
-      console.log(`💾 ✅ Saved index for "${datasetId}" to IndexedDB:`, Object.keys(index).length, 'keys')
+      console.log(`💾 ✅ Saved index for "${datasetId}" to IndexedDB:`, wordCount(index), 'words')
       resolve()
     }
     request.onerror = () => {
@@ -100,7 +111,7 @@ export const loadDatasetIndex = async (datasetId) => {
     
     request.onsuccess = () => {
       if (request.result) {
-        console.log(`💾 Loaded index for "${datasetId}" from IndexedDB:`, Object.keys(request.result).length, 'keys')
+        console.log(`💾 Loaded index for "${datasetId}" from IndexedDB:`, wordCount(request.result), 'words')
       }
       resolve(request.result)
     }
@@ -193,15 +204,100 @@ export const clearDataset = async (datasetId) => {
   })
 }
 
+// Key range covering every chunk of one download
+const downloadChunkRange = (fileId) => IDBKeyRange.bound([fileId, 0], [fileId, Infinity])
+
+// Save the resume manifest for a partial download (file metadata, chunk hashes, providers)
+export const saveDownloadManifest = async (manifest) => {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_DOWNLOADS, 'readwrite')
+    const request = tx.objectStore(STORE_DOWNLOADS).put({ ...manifest, updatedAt: Date.now() }, manifest.fileId)
+    
+    request.onsuccess = () => resolve()
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Load every resume manifest (unfinished downloads from earlier sessions)
+export const loadDownloadManifests = async () => {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_DOWNLOADS, 'readonly')
+    const request = tx.objectStore(STORE_DOWNLOADS).getAll()
+    
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Persist one received chunk of a download
+export const saveDownloadChunk = async (fileId, chunkIndex, bytes) => {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_DOWNLOAD_CHUNKS, 'readwrite')
+    const request = tx.objectStore(STORE_DOWNLOAD_CHUNKS).put(bytes, [fileId, chunkIndex])
+    
+    request.onsuccess = () => resolve()
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Indices of the chunks already persisted for a download
+export const loadDownloadChunkIndices = async (fileId) => {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_DOWNLOAD_CHUNKS, 'readonly')
+    const request = tx.objectStore(STORE_DOWNLOAD_CHUNKS).getAllKeys(downloadChunkRange(fileId))
+    
+    request.onsuccess = () => resolve(request.result.map(([, chunkIndex]) => chunkIndex))
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Load persisted chunks as a sparse array indexed by chunk index
+export const loadDownloadChunks = async (fileId) => {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_DOWNLOAD_CHUNKS, 'readonly')
+    const request = tx.objectStore(STORE_DOWNLOAD_CHUNKS).openCursor(downloadChunkRange(fileId))
+    const chunks = []
+    
+    request.onsuccess = () => {
+      const cursor = request.result
+      if (cursor) {
+        chunks[cursor.key[1]] = cursor.value
+        cursor.continue()
+      } else {
+        resolve(chunks)
+      }
+    }
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Remove a download's manifest and chunks (after completion or when discarded)
+export const deleteDownload = async (fileId) => {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_DOWNLOADS, STORE_DOWNLOAD_CHUNKS], 'readwrite')
+    
+    tx.objectStore(STORE_DOWNLOADS).delete(fileId)
+    tx.objectStore(STORE_DOWNLOAD_CHUNKS).delete(downloadChunkRange(fileId))
+    
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
 // Clear ALL data storage
 export const clearAllStorage = async () => {
   const db = await openDB()
   return new Promise((resolve, reject) => {
-    const tx = db.transaction([STORE_DATASETS, STORE_INDEXES, STORE_CACHE], 'readwrite')
+    const stores = [STORE_DATASETS, STORE_INDEXES, STORE_CACHE, STORE_DOWNLOADS, STORE_DOWNLOAD_CHUNKS]
+    const tx = db.transaction(stores, 'readwrite')
     
-    tx.objectStore(STORE_DATASETS).clear()
-    tx.objectStore(STORE_INDEXES).clear()
-    tx.objectStore(STORE_CACHE).clear()
+    stores.forEach(name => tx.objectStore(name).clear())
     
     tx.oncomplete = () => {
       console.log('💾 Cleared all data storage')
@@ -1,4 +1,16 @@
 import { ref, reactive, markRaw } from 'vue'
+import { sha256Hex, merkleRoot, verifyChunk } from '../transfer/chunkIntegrity.js'
+import { CHUNK_ENCODINGS, pickEncoding, encodeChunkFrame, decodeChunkFrame, encodeChunkPayload, decodeChunkPayload } from '../transfer/chunkFrames.js'
+import { CAPABILITIES, validateMessage, createHello, PeerCapabilities } from '../protocol/messages.js'
+
+// Protocol features this client announces in its hello
+const CLIENT_CAPABILITIES = [
+  CAPABILITIES.BINARY_CHUNKS,
+  CAPABILITIES.BASE64_CHUNKS,
+  CAPABILITIES.CHUNK_MANIFESTS,
+  CAPABILITIES.REQUEST_IDS,
+  CAPABILITIES.SEARCH_PAGING
+]
 
 // PeerPigeon is loaded globally from the browser bundle
 const { PeerPigeonMesh } = window.PeerPigeon
@@ -13,6 +25,9 @@ export function usePeerPigeon() {
   const sendingProgress = ref(0)
   const isSending = ref(false)
   const fileTransfers = new Map() // Track active transfers
+  const pendingAccepts = new Map() // transferId -> resolver for the receiver's file-accept
+  const peerCapabilities = new PeerCapabilities() // What each peer announced in its hello
+  const helloSent = new Set()
 
   // Initialize PeerPigeon connection
   const connect = async (options = {}) => {
@@ -117,6 +132,12 @@ export function usePeerPigeon() {
         
         if (!content || typeof content !== 'object') return
         
+        const { valid, errors } = validateMessage(content)
+        if (!valid) {
+          console.warn(`🚫 Ignoring invalid ${content.type || 'message'} from ${from?.substring(0, 8)}: ${errors.join(', ')}`)
+          return
+        }
+        
         try {
           handleIncomingMessage(content, from)
         } catch (error) {
@@ -124,13 +145,31 @@ export function usePeerPigeon() {
         }
       })
 
+      // Framed binary chunks arrive outside the JSON message path; unpack them and
+      // re-emit so every messageReceived listener sees a normal message with `chunk` bytes
+      pigeon.value.on('binaryMessageReceived', ({ from, data }) => {
+        try {
+          const frame = decodeChunkFrame(data)
+          if (!frame) return
+          pigeon.value.emit('messageReceived', {
+            from,
+            content: { ...frame.header, chunk: frame.bytes }
+          })
+        } catch (error) {
+          console.error('Error handling binary message:', error)
+        }
+      })
+
       // Listen for peer connections
       pigeon.value.on('peerConnected', (data) => {
         console.log('🤝 Peer connected:', data.peerId)
+        sendHello(data.peerId)
       })
 
       pigeon.value.on('peerDisconnected', (data) => {
         console.log('👋 Peer disconnected:', data.peerId)
+        peerCapabilities.delete(data.peerId)
+        helloSent.delete(data.peerId)
       })
 
       // Handle peer disconnections
@@ -146,11 +185,28 @@ export function usePeerPigeon() {
     }
   }
 
+  // Tell a newly connected peer which protocol version and features we speak
+  const sendHello = (peerId) => {
+    if (!peerId || helloSent.has(peerId)) return
+    helloSent.add(peerId)
+    pigeon.value.sendDirectMessage(peerId, createHello({
+      capabilities: CLIENT_CAPABILITIES,
+      nodeType: 'pigeonfs-client',
+      peerId: myPeerId.value
+    })).catch(error => console.warn('Failed to send hello:', error.message))
+  }
+
   // Handle incoming messages
   const handleIncomingMessage = (data, peerId) => {
     const { type } = data
     
     switch (type) {
+      case 'hello':
+        peerCapabilities.set(peerId, data)
+        console.log(`🤝 ${peerId?.substring(0, 8)} speaks protocol v${data.protocolVersion}:`, data.capabilities.join(', '))
+        sendHello(peerId) // In case its hello beat our peerConnected event
+        break
+        
       case 'ping':
         console.log('🏓 Ping from', peerId?.substring(0, 8), ':', data.message)
         break
@@ -159,6 +215,10 @@ export function usePeerPigeon() {
         handleFileStart(data, peerId)
         break
         
+      case 'file-accept':
+        pendingAccepts.get(data.transferId)?.(data)
+        break
+        
       case 'file-chunk':
         handleFileChunk(data, peerId)
         break
@@ -191,15 +251,25 @@ export function usePeerPigeon() {
     // Track transfer
     fileTransfers.set(transferId, {
       chunks: new Array(totalChunks),
+      chunkHashes: new Array(totalChunks),
       totalChunks,
       receivedChunks: 0,
       mimeType
     })
+    
+    // Senders that negotiate chunk encodings wait for this before sending chunks
+    if (data.encodings) {
+      pigeon.value.sendDirectMessage(peerId, {
+        type: 'file-accept',
+        transferId,
+        encodings: CHUNK_ENCODINGS
+      })
+    }
   }
 
   // Handle file chunk
   const handleFileChunk = (data, peerId) => {
-    const { transferId, chunkIndex, chunk } = data
+    const { transferId, chunkIndex, chunkHash } = data
     
     const transfer = fileTransfers.get(transferId)
     const fileIndex = receivedFiles.findIndex(f => f.id === transferId)
@@ -214,9 +284,17 @@ export function usePeerPigeon() {
     }
     
     // Store chunk as Uint8Array
-    transfer.chunks[chunkIndex] = new Uint8Array(chunk)
+    transfer.chunks[chunkIndex] = decodeChunkPayload(data)
+    transfer.chunkHashes[chunkIndex] = chunkHash
     transfer.receivedChunks++
     
+    // file-end came in before this chunk; finish now that everything is here
+    if (transfer.pendingEnd && transfer.receivedChunks === transfer.totalChunks) {
+      clearTimeout(transfer.pendingEndTimer)
+      handleFileEnd(transfer.pendingEnd, peerId)
+      return
+    }
+    
     // Update progress
     const progress = (transfer.receivedChunks / transfer.totalChunks) * 100
     receivedFiles[fileIndex].progress = progress
@@ -231,8 +309,8 @@ export function usePeerPigeon() {
   }
 
   // Handle file transfer end
-  const handleFileEnd = (data, peerId) => {
-    const { transferId } = data
+  const handleFileEnd = async (data, peerId) => {
+    const { transferId, merkleRoot: expectedRoot } = data
     
     const transfer = fileTransfers.get(transferId)
     const fileIndex = receivedFiles.findIndex(f => f.id === transferId)
@@ -250,11 +328,37 @@ export function usePeerPigeon() {
     }
     
     if (missingChunks.length > 0) {
-      console.error(`❌ Missing ${missingChunks.length} chunks:`, missingChunks.slice(0, 10))
-      receivedFiles[fileIndex].status = 'error'
+      // Binary chunks use the data channel directly and can be overtaken by file-end
+      if (!transfer.pendingEnd) {
+        transfer.pendingEnd = data
+        transfer.pendingEndTimer = setTimeout(() => {
+          console.error(`❌ Missing ${missingChunks.length} chunks:`, missingChunks.slice(0, 10))
+          receivedFiles[fileIndex].status = 'error'
+          fileTransfers.delete(transferId)
+        }, 10000)
+      }
       return
     }
     
+    // Verify chunks against the sender's hashes and the hashes against the Merkle root
+    // (senders that predate integrity checks send neither)
+    if (expectedRoot) {
+      for (let i = 0; i < transfer.totalChunks; i++) {
+        if (!(await verifyChunk(transfer.chunks[i], transfer.chunkHashes[i]))) {
+          console.error(`❌ Chunk ${i} failed verification`)
+          receivedFiles[fileIndex].status = 'error'
+          fileTransfers.delete(transferId)
+          return
+        }
+      }
+      if ((await merkleRoot(transfer.chunkHashes)) !== expectedRoot) {
+        console.error('❌ Merkle root mismatch')
+        receivedFiles[fileIndex].status = 'error'
+        fileTransfers.delete(transferId)
+        return
+      }
+    }
+    
     // Assemble file
     const totalSize = transfer.chunks.reduce((sum, chunk) => sum + chunk.length, 0)
     const fileData = new Uint8Array(totalSize)
@@ -327,17 +431,32 @@ export function usePeerPigeon() {
       const transferId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
       const totalChunks = Math.ceil(file.size / CHUNK_SIZE)
 
-      // Send file start message
+      // Send file start message; receivers that know chunk encodings answer with file-accept,
+      // older ones stay silent and get the legacy array encoding
+      const accepted = new Promise((resolve) => {
+        const timeout = setTimeout(() => {
+          pendingAccepts.delete(transferId)
+          resolve(null)
+        }, 3000)
+        pendingAccepts.set(transferId, (reply) => {
+          clearTimeout(timeout)
+          pendingAccepts.delete(transferId)
+          resolve(reply)
+        })
+      })
       await pigeon.value.sendDirectMessage(targetPeerId, {
         type: 'file-start',
         transferId,
         filename: file.name,
         filesize: file.size,
         totalChunks,
-        mimeType: file.type || 'application/octet-stream'
+        mimeType: file.type || 'application/octet-stream',
+        encodings: CHUNK_ENCODINGS
       })
+      // No file-accept: fall back on what the receiver announced in its hello, if anything
+      const encoding = pickEncoding((await accepted)?.encodings || peerCapabilities.chunkEncodings(targetPeerId))
 
-      console.log(`📤 Sending ${totalChunks} chunks...`)
+      console.log(`📤 Sending ${totalChunks} chunks (${encoding} encoding)...`)
 
       // Get peer connection for direct data channel access
       const peerConnection = pigeon.value.connectionManager.peers.get(targetPeerId)
@@ -351,6 +470,7 @@ export function usePeerPigeon() {
       // Send chunks using data channel's bufferedAmount for backpressure
       let offset = 0
       let chunkIndex = 0
+      const chunkHashes = []
 
       while (offset < file.size) {
         // Wait if buffer is getting full (backpressure handling)
@@ -362,14 +482,19 @@ export function usePeerPigeon() {
         const chunkBlob = file.slice(offset, chunkEnd)
         const arrayBuffer = await chunkBlob.arrayBuffer()
         const uint8Array = new Uint8Array(arrayBuffer)
-
-        // Send chunk via direct message (will use data channel)
-        await pigeon.value.sendDirectMessage(targetPeerId, {
-          type: 'file-chunk',
-          transferId,
-          chunkIndex,
-          chunk: Array.from(uint8Array) // Convert for JSON serialization
-        })
+        const chunkHash = await sha256Hex(uint8Array)
+        chunkHashes.push(chunkHash)
+
+        // Raw bytes over the data channel when negotiated, otherwise a JSON direct message
+        const header = { type: 'file-chunk', transferId, chunkIndex, chunkHash }
+        let sent = false
+        if (encoding === 'binary') {
+          sent = await pigeon.value.sendBinaryData(targetPeerId, encodeChunkFrame(header, uint8Array))
+        }
+        if (!sent) {
+          const fallback = encoding === 'array' ? 'array' : 'base64'
+          await pigeon.value.sendDirectMessage(targetPeerId, { ...header, ...encodeChunkPayload(uint8Array, fallback) })
+        }
 
         offset = chunkEnd
         chunkIndex++
@@ -389,7 +514,8 @@ export function usePeerPigeon() {
       // Send file end message
       await pigeon.value.sendDirectMessage(targetPeerId, {
         type: 'file-end',
-        transferId
+        transferId,
+        merkleRoot: await merkleRoot(chunkHashes)
       })
 
       console.log(`✅ File sent: ${file.name}`)
@@ -478,6 +604,7 @@ export function usePeerPigeon() {
     pigeon,
     myPeerId,
     connectionStatus,
+    peerCapabilities,
     receivedFiles,
     sendingProgress,
     isSending,
@@ -0,0 +1,196 @@
+/**
+ * messages - PigeonFS peer protocol: message schemas, validation and capability negotiation
+ * Shared by node-server.js, the browser client and PeerSynchronization
+ *
+ * Every message is a JSON object with a `type`. MESSAGE_SCHEMAS lists the fields each
+ * type must (or may, with a trailing '?') carry; unlisted fields are allowed so peers can
+ * add to a message without breaking older ones. Types not listed here are left to
+ * whoever handles them.
+ *
+ * Peers send a `hello` on connect with their protocol version and capabilities, and
+ * gate newer features on what the other side announced:
+ *   peerCapabilities.set(peerId, hello)
+ *   if (peerCapabilities.supports(peerId, CAPABILITIES.BINARY_CHUNKS)) { ... }
+ */
+
+// Bump on incompatible changes; MIN_PROTOCOL_VERSION is the oldest peer we still talk to
+export const PROTOCOL_VERSION = 1
+export const MIN_PROTOCOL_VERSION = 1
+
+export const CAPABILITIES = {
+  BINARY_CHUNKS: 'binary-chunks', // Chunks as PFSC frames over the data channel (chunkFrames.js)
+  BASE64_CHUNKS: 'base64-chunks', // Chunks as base64 in JSON messages
+  CHUNK_MANIFESTS: 'chunk-manifests', // file-manifest-request / per-chunk hashes
+  REQUEST_IDS: 'request-ids', // Replies echo requestId with ok/error (rpc.js)
+  FILE_TREE: 'file-tree', // Hosted files carry relativePath
+  SEARCH_PAGING: 'search-paging' // dataset-search-request takes limit/offset/cursor; responses carry total/nextCursor
+}
+
+// Field types: 'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object' | 'any', '?' = optional
+// 'integer' is a non-negative safe integer, for chunk indices, counts and sizes
+export const MESSAGE_SCHEMAS = {
+  // Session
+  'hello': { protocolVersion: 'number', capabilities: 'array', nodeType: 'string?', peerId: 'string?' },
+  'node-announcement': { peerId: 'string?', nodeType: 'string?', datasets: 'array?', files: 'array?', timestamp: 'number?' },
+  'ping': { message: 'any?' },
+  'error': { requestType: 'string?', code: 'string', error: 'string?' },
+  'permission-denied': { requestType: 'string?', requiredRole: 'string?', error: 'string?' },
+
+  // Datasets and search
+  'dataset-search-request': { query: 'string', parsedQuery: 'object?', fuzzy: 'boolean?', dataset: 'string?', origin: 'string?', ttl: 'number?', hops: 'number?', limit: 'number?', offset: 'number?', cursor: 'string?' },
+  'dataset-search-response': { results: 'array', dataset: 'string?', query: 'string?', targetPeerId: 'string?', total: 'number?', offset: 'number?', nextCursor: 'string?' },
+  'dataset-availability-request': {},
+  'dataset-availability-response': { datasets: 'array', files: 'array?' },
+  'dataset-available': {},
+  'file-search-request': { query: 'string', origin: 'string?', ttl: 'number?', hops: 'number?' },
+  'file-search-response': { results: 'array', query: 'string?', targetPeerId: 'string?' },
+
+  // Hosted files
+  'file-list-request': {},
+  'file-list-response': { files: 'array' },
+  'file-manifest-request': { fileId: 'string' },
+  'file-manifest': { fileId: 'string', size: 'number', chunkSize: 'number', merkleRoot: 'string', chunkHashes: 'array' },
+  'file-chunk-request': { fileId: 'string', chunkIndex: 'integer', encodings: 'array?' },
+  'file-chunk': { chunkIndex: 'integer', chunk: 'any', fileId: 'string?', transferId: 'string?', encoding: 'string?' },
+  'file-stream-request': { fileId: 'string', fileName: 'string?' },
+  'file-stream-start': { fileId: 'string', size: 'number?' },
+  'file-chunk-upload': { fileId: 'string', fileName: 'string?', fileSize: 'integer?', chunkIndex: 'integer', totalChunks: 'integer', chunk: 'any', chunkHash: 'string?', merkleRoot: 'string?' },
+  'file-chunk-upload-rejected': { fileId: 'string', chunkIndex: 'integer', reason: 'string?' },
+  'upload-complete': { fileId: 'string', fileName: 'string?', success: 'boolean?' },
+  'upload-rejected': { fileName: 'string?', reason: 'string?', error: 'string?' },
+  'file-delete-request': { fileId: 'string?', fileName: 'string?' },
+  'file-deleted': { fileId: 'string', fileName: 'string?' },
+
+  // Direct peer-to-peer file sends (usePeerPigeon)
+  'file-start': { transferId: 'string', filename: 'string', filesize: 'number', totalChunks: 'integer', encodings: 'array?' },
+  'file-accept': { transferId: 'string', encodings: 'array?' },
+  'file-end': { transferId: 'string', merkleRoot: 'string?' },
+
+  // PagingStorage synchronization (PeerSynchronization)
+  'page_request': { requestId: 'any', key: 'any' },
+  'page_response': { requestId: 'any', found: 'boolean?' },
+  'page_update': { pageId: 'string?', pageData: 'object?' },
+  'page_delete': { pageId: 'string', key: 'any?' },
+  'page_list': { pages: 'array' },
+  'peer_discovery': { peerId: 'string?', pageCount: 'number?' },
+  'sync_request': {},
+  'full_page_request': { pageId: 'string', requestId: 'any' },
+  'chunk_request': { requestId: 'any', chunkId: 'string', encodings: 'array?' },
+  'chunk_response': { requestId: 'any', chunkId: 'string', found: 'boolean?' }
+}
+
+export class ProtocolError extends Error {
+  constructor(message, errors = []) {
+    super(message)
+    this.name = 'ProtocolError'
+    this.code = 'INVALID_MESSAGE'
+    this.errors = errors
+  }
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array'
+  if (value === null) return 'null'
+  return typeof value
+}
+
+// { valid, known, errors } - `known` is false for types without a schema, which are
+// reported valid so callers can pass them through to their own handlers
+export function validateMessage(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { valid: false, known: false, errors: ['Message must be an object'] }
+  }
+  if (typeof message.type !== 'string' || !message.type) {
+    return { valid: false, known: false, errors: ['Message has no type'] }
+  }
+
+  const schema = MESSAGE_SCHEMAS[message.type]
+  if (!schema) return { valid: true, known: false, errors: [] }
+
+  const errors = []
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith('?')
+    const expected = optional ? spec.slice(0, -1) : spec
+    const value = message[field]
+    if (value === undefined || value === null) {
+      if (!optional) errors.push(`${field} is required`)
+      continue
+    }
+    if (expected === 'integer') {
+      if (!Number.isSafeInteger(value) || value < 0) errors.push(`${field} must be a non-negative integer, got ${typeOf(value) === 'number' ? value : typeOf(value)}`)
+      continue
+    }
+    if (expected !== 'any' && typeOf(value) !== expected) {
+      errors.push(`${field} must be ${expected === 'array' || expected === 'object' ? 'an' : 'a'} ${expected}, got ${typeOf(value)}`)
+    }
+  }
+  return { valid: errors.length === 0, known: true, errors }
+}
+
+export function assertValidMessage(message) {
+  const { valid, errors } = validateMessage(message)
+  if (!valid) {
+    throw new ProtocolError(`Invalid ${message?.type || 'message'}: ${errors.join(', ')}`, errors)
+  }
+  return message
+}
+
+export function createHello({ capabilities = [], nodeType, peerId } = {}) {
+  return {
+    type: 'hello',
+    protocolVersion: PROTOCOL_VERSION,
+    capabilities,
+    nodeType,
+    peerId,
+    timestamp: Date.now()
+  }
+}
+
+export function isCompatibleVersion(version) {
+  return typeof version === 'number' && version >= MIN_PROTOCOL_VERSION
+}
+
+// What each connected peer announced in its hello. Peers that never sent one
+// (older clients) have no entry, and supports() is false for everything.
+export class PeerCapabilities {
+  constructor() {
+    this.peers = new Map() // peerId -> { protocolVersion, capabilities: Set, nodeType }
+  }
+
+  set(peerId, hello) {
+    const entry = {
+      protocolVersion: hello.protocolVersion,
+      capabilities: new Set(hello.capabilities || []),
+      nodeType: hello.nodeType || null,
+      compatible: isCompatibleVersion(hello.protocolVersion)
+    }
+    this.peers.set(peerId, entry)
+    return entry
+  }
+
+  get(peerId) {
+    return this.peers.get(peerId) || null
+  }
+
+  has(peerId) {
+    return this.peers.has(peerId)
+  }
+
+  delete(peerId) {
+    this.peers.delete(peerId)
+  }
+
+  supports(peerId, capability) {
+    const entry = this.peers.get(peerId)
+    return Boolean(entry?.compatible && entry.capabilities.has(capability))
+  }
+
+  // Chunk encodings the peer announced, in chunkFrames.js terms; null if it never said
+  chunkEncodings(peerId) {
+    if (!this.has(peerId)) return null
+    const encodings = []
+    if (this.supports(peerId, CAPABILITIES.BINARY_CHUNKS)) encodings.push('binary')
+    if (this.supports(peerId, CAPABILITIES.BASE64_CHUNKS)) encodings.push('base64')
+    return encodings
+  }
+}
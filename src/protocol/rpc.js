@@ -0,0 +1,122 @@
+/**
+ * rpc - Request/response correlation for peer messages
+ * Shared by node-server.js and the browser client
+ *
+ * Requests carry a `requestId`. Every reply echoes it along with `ok`:
+ * - success: the usual reply type for the request (`file-manifest`, `file-deleted`, ...) with `ok: true`
+ * - failure: `{ type: 'error', ok: false, code, error, requestType }`, or for the older
+ *   failure replies (`permission-denied`, `upload-rejected`, ...) the same message with `ok: false` and a `code`
+ *
+ * Example:
+ *   const rpc = new RpcClient({ send: (peerId, message) => pigeon.sendDirectMessage(peerId, message) })
+ *   pigeon.on('messageReceived', ({ from, content }) => { if (rpc.handleMessage(content, from)) return; ... })
+ *   const manifest = await rpc.request(peerId, { type: 'file-manifest-request', fileId })
+ */
+
+export const ERROR_CODES = {
+  NOT_FOUND: 'NOT_FOUND', // No such file, dataset or upload
+  FORBIDDEN: 'FORBIDDEN', // The peer's role doesn't allow the request
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED', // Not enough storage left for an upload
+  BUSY: 'BUSY', // Too many transfers in progress; retry after `retryAfter` ms
+  BAD_REQUEST: 'BAD_REQUEST', // Malformed request or unusable file name
+  INTEGRITY_ERROR: 'INTEGRITY_ERROR', // Uploaded data failed its hash or Merkle check
+  INTERNAL: 'INTERNAL', // Anything else that went wrong on the responder
+  TIMEOUT: 'TIMEOUT' // Client side only: no reply in time
+}
+
+export class RpcError extends Error {
+  constructor(message, code, response = null) {
+    super(message)
+    this.name = 'RpcError'
+    this.code = code
+    this.response = response
+  }
+}
+
+export function createRequestId() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID()
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+}
+
+// Success reply to `request`
+export function okResponse(request, type, body = {}) {
+  return { type, requestId: request.requestId, ok: true, ...body }
+}
+
+// Failure reply to `request`; `type` defaults to the generic 'error'
+export function errorResponse(request, code, message, extra = {}) {
+  return {
+    type: 'error',
+    requestType: request.type,
+    requestId: request.requestId,
+    fileId: request.fileId,
+    ...extra,
+    ok: false,
+    code,
+    error: message
+  }
+}
+
+export class RpcClient {
+  constructor(options = {}) {
+    this.send = options.send // (peerId, message) => messageId | null, may be async
+    this.timeout = options.timeout || 10000
+    this.pending = new Map() // requestId -> { resolve, reject, timer, peerId }
+  }
+
+  // Send `message` to `peerId` and resolve with its reply (or reject with an RpcError)
+  async request(peerId, message, { timeout = this.timeout } = {}) {
+    const requestId = message.requestId || createRequestId()
+
+    const reply = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId)
+        reject(new RpcError(`No reply to ${message.type} from ${peerId.substring(0, 8)} within ${timeout}ms`, ERROR_CODES.TIMEOUT))
+      }, timeout)
+      this.pending.set(requestId, { resolve, reject, timer, peerId })
+    })
+
+    try {
+      const sent = await this.send(peerId, { ...message, requestId })
+      if (sent === null || sent === false) {
+        throw new RpcError(`Could not send ${message.type} to ${peerId.substring(0, 8)}`, ERROR_CODES.INTERNAL)
+      }
+    } catch (error) {
+      this.settle(requestId)
+      throw error
+    }
+    return reply
+  }
+
+  // Feed every incoming message through here with its sender; returns true if it answered
+  // a pending request. Only the peer a request went to can answer it.
+  handleMessage(message, fromPeerId) {
+    if (!message || message.requestId == null) return false
+    if (this.pending.get(message.requestId)?.peerId !== fromPeerId) return false
+    const pending = this.settle(message.requestId)
+
+    if (message.ok === false) {
+      pending.reject(new RpcError(message.error || `${message.requestType || 'Request'} failed`, message.code || ERROR_CODES.INTERNAL, message))
+    } else {
+      pending.resolve(message)
+    }
+    return true
+  }
+
+  // Reject everything still waiting on `peerId` (e.g. it disconnected), or on everyone
+  cancel(peerId = null) {
+    for (const [requestId, pending] of this.pending) {
+      if (peerId && pending.peerId !== peerId) continue
+      this.settle(requestId)
+      pending.reject(new RpcError('Request cancelled', ERROR_CODES.TIMEOUT))
+    }
+  }
+
+  settle(requestId) {
+    const pending = this.pending.get(requestId)
+    if (!pending) return null
+    clearTimeout(pending.timer)
+    this.pending.delete(requestId)
+    return pending
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * searchAggregator - Collects search responses from many peers into one ranked result set
+ * Shared by the browser client and Node scripts
+ *
+ * A search goes out once (searchRouting.js) and every peer with matches answers with the
+ * request's `requestId`. The aggregator keeps the responses for that `requestId` that
+ * arrive before the deadline, treats results with the same dataset checksum and item key
+ * as one item (remembering every peer that has it), scores everything with the same
+ * function no matter which peer sent it, and hands out the ranking a page at a time.
+ *
+ * Responses that carry `total` and `nextCursor` (search-paging) let it report the hit
+ * count across everything, not just what has arrived, and continuations() says which
+ * source to ask for the next batch; follow-up requests get a new requestId via expect().
+ *
+ * Example:
+ *   const search = new SearchAggregator({ deadline: 5000, onUpdate: ({ results }) => render(results) })
+ *   pigeon.on('messageReceived', ({ from, content }) => search.addResponse(content, from))
+ *   await router.sendRequest({ type: 'dataset-search-request', query, dataset, requestId: search.requestId })
+ *   const { results } = await search.done
+ */
+
+import { createRequestId } from './rpc.js'
+
+export const DEFAULT_SEARCH_DEADLINE = 5000
+export const DEFAULT_PAGE_SIZE = 20
+
+export const SEARCH_RESPONSE_TYPES = ['dataset-search-response', 'file-search-response']
+
+// Results without a score (from peers older than BM25 ranking) count as exact word hits
+export function defaultScore(result) {
+  return typeof result.score === 'number' ? result.score : 1
+}
+
+// Files (JSON values from the file-index dataset) are keyed by id so the same file on
+// several peers merges; everything else by its Book key
+export function defaultItemKey(result) {
+  if (typeof result.value === 'string' && result.value.startsWith('{')) {
+    try {
+      const file = JSON.parse(result.value)
+      const id = file?.id || file?.fileHash || file?.name
+      if (id) return `file:${id}`
+    } catch {
+      // Not JSON after all
+    }
+  }
+  if (result.id && result.key === undefined) return `file:${result.id}` // file-search-response
+  return `key:${result.key}`
+}
+
+// { items, page, pageSize, total, totalPages } for a zero-based page of `items`
+export function paginate(items, page = 0, pageSize = DEFAULT_PAGE_SIZE) {
+  const total = items.length
+  const totalPages = Math.max(1, Math.ceil(total / pageSize))
+  const current = Math.min(Math.max(0, page), totalPages - 1)
+  return {
+    items: items.slice(current * pageSize, (current + 1) * pageSize),
+    page: current,
+    pageSize,
+    total,
+    totalPages
+  }
+}
+
+export class SearchAggregator {
+  constructor(options = {}) {
+    this.requestId = options.requestId ?? createRequestId()
+    this.requestIds = new Set([this.requestId]) // The search plus any follow-up requests
+    this.query = options.query ?? null
+    this.deadline = options.deadline ?? DEFAULT_SEARCH_DEADLINE
+    this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE
+    this.scoreResult = options.scoreResult || defaultScore
+    this.itemKey = options.itemKey || defaultItemKey
+    this.onUpdate = options.onUpdate || null // snapshot() after every change
+
+    this.items = new Map() // `${checksum}\u0000${itemKey}` -> merged result
+    this.checksums = new Map() // Dataset name -> checksum, once a peer has sent one
+    this.responders = new Set() // Peers that answered
+    this.sources = new Map() // peerId ('' for our own results) -> { dataset, checksum, total, loaded, cursor }
+    this.responses = 0
+    this.arrivals = 0 // Tie-breaker: earlier items first
+    this.ranked = null // Cached ranking, cleared on change
+
+    this.open()
+  }
+
+  open() {
+    this.complete = false
+    this.done = new Promise(resolve => {
+      this.resolveDone = resolve
+    })
+    this.timer = this.deadline > 0 ? setTimeout(() => this.close(), this.deadline) : null
+  }
+
+  // Accept responses to another request for this search (e.g. the next page from one
+  // peer), reopening it for another deadline if it had closed. Returns the requestId.
+  expect(requestId = createRequestId()) {
+    this.requestIds.add(requestId)
+    if (this.complete) this.open()
+    return requestId
+  }
+
+  // Feed every incoming message through here; returns true if it was a response to this search
+  addResponse(message, fromPeerId) {
+    if (this.complete || !message || !this.requestIds.has(message.requestId)) return false
+    if (!SEARCH_RESPONSE_TYPES.includes(message.type) || !Array.isArray(message.results)) return false
+
+    // Credit the sender; a message's own peerId is only trusted when gossip relayed it with no direct sender
+    const peerId = fromPeerId || message.peerId
+    this.responses++
+    if (peerId) this.responders.add(peerId)
+    this.track(peerId, {
+      dataset: message.dataset,
+      checksum: message.datasetChecksum,
+      total: message.total,
+      offset: message.offset,
+      count: message.results.length,
+      cursor: message.nextCursor
+    })
+    this.merge(message.results.map(result => ({ source: 'peer', ...result })), {
+      peerId,
+      dataset: message.dataset,
+      checksum: message.datasetChecksum
+    })
+    return true
+  }
+
+  // Results found without a response message, e.g. from our own copy of the dataset.
+  // A Book.page() result brings its own total and cursor. The deadline doesn't apply.
+  addResults(results, { peerId = null, dataset = null, checksum = null, source = 'local' } = {}) {
+    this.track(peerId, { dataset, checksum, total: results.total, offset: results.offset, count: results.length, cursor: results.cursor })
+    this.merge(results.map(result => ({ source, ...result })), { peerId, dataset, checksum })
+  }
+
+  // Remember how far into its hits a source is; only paging-aware sources report a total
+  track(peerId, { dataset, checksum, total, offset, count, cursor }) {
+    if (typeof total !== 'number') return
+    this.sources.set(peerId || '', {
+      dataset: dataset || null,
+      checksum: checksum || null,
+      total,
+      loaded: (offset || 0) + count,
+      cursor: cursor || null
+    })
+  }
+
+  // Items are grouped by dataset checksum. Peers that don't send one (browsers) are
+  // grouped by dataset name until some peer tells us the checksum for that name.
+  group(dataset, checksum) {
+    const name = dataset || ''
+    if (checksum && !this.checksums.has(name)) {
+      this.checksums.set(name, checksum)
+      for (const [key, item] of Array.from(this.items)) {
+        if (!key.startsWith(`name:${name}\u0000`)) continue
+        this.items.delete(key)
+        this.mergeItem(`${checksum}\u0000${key.slice(key.indexOf('\u0000') + 1)}`, { ...item, datasetChecksum: checksum }, item.peerIds)
+      }
+    }
+    return checksum || this.checksums.get(name) || `name:${name}`
+  }
+
+  merge(results, { peerId, dataset, checksum }) {
+    const group = this.group(dataset, checksum)
+    for (const result of results) {
+      this.mergeItem(`${group}\u0000${this.itemKey(result)}`, {
+        ...result,
+        dataset: result.dataset ?? dataset,
+        datasetChecksum: checksum || this.checksums.get(dataset || '') || undefined,
+        score: this.scoreResult(result)
+      }, peerId ? [peerId] : [])
+    }
+
+    this.ranked = null
+    this.notify()
+  }
+
+  mergeItem(key, item, peerIds) {
+    const existing = this.items.get(key)
+    if (!existing) {
+      this.items.set(key, { ...item, peerIds: [...peerIds], arrival: item.arrival ?? this.arrivals++ })
+      return
+    }
+
+    for (const peerId of peerIds) {
+      if (!existing.peerIds.includes(peerId)) existing.peerIds.push(peerId)
+    }
+    if (item.score > existing.score) {
+      // Better-scored copy wins, but the item keeps its place in arrival order and every peer
+      this.items.set(key, { ...existing, ...item, peerIds: existing.peerIds, arrival: Math.min(existing.arrival, item.arrival ?? Infinity) })
+    } else if (item.arrival < existing.arrival) {
+      existing.arrival = item.arrival
+    }
+  }
+
+  // Highest score first; more providers, then earlier arrival break ties
+  get results() {
+    if (!this.ranked) {
+      this.ranked = Array.from(this.items.values()).sort((a, b) =>
+        (b.score - a.score) ||
+        (b.peerIds.length - a.peerIds.length) ||
+        (a.arrival - b.arrival)
+      )
+    }
+    return this.ranked
+  }
+
+  get total() {
+    return this.items.size
+  }
+
+  // Hits across all sources: per dataset, the largest total any source reported (they
+  // hold the same items) or the items we have, whichever is more
+  get totalHits() {
+    let total = 0
+    for (const { reported, have } of this.groupCounts().values()) total += Math.max(reported, have)
+    return total
+  }
+
+  // Per dataset we haven't got everything of, the source that has fetched furthest and
+  // still has a cursor: [{ peerId (null for our own results), dataset, cursor }]
+  continuations() {
+    const counts = this.groupCounts()
+    const best = new Map()
+    for (const [peerId, source] of this.sources) {
+      const group = this.groupOf(source)
+      const { reported, have } = counts.get(group)
+      if (!source.cursor || have >= reported) continue
+      const current = best.get(group)
+      if (!current || source.loaded > current.source.loaded || (source.loaded === current.source.loaded && !peerId)) {
+        best.set(group, { peerId, source })
+      }
+    }
+    return Array.from(best.values()).map(({ peerId, source }) => ({
+      peerId: peerId || null,
+      dataset: source.dataset,
+      cursor: source.cursor
+    }))
+  }
+
+  get hasMore() {
+    return this.continuations().length > 0
+  }
+
+  // group -> { reported: largest total from its sources, have: items merged so far }
+  groupCounts() {
+    const counts = new Map()
+    const entry = group => {
+      if (!counts.has(group)) counts.set(group, { reported: 0, have: 0 })
+      return counts.get(group)
+    }
+    for (const key of this.items.keys()) {
+      entry(key.slice(0, key.indexOf('\u0000'))).have++
+    }
+    for (const source of this.sources.values()) {
+      const counted = entry(this.groupOf(source))
+      counted.reported = Math.max(counted.reported, source.total)
+    }
+    return counts
+  }
+
+  groupOf(source) {
+    return source.checksum || this.checksums.get(source.dataset || '') || `name:${source.dataset || ''}`
+  }
+
+  page(page = 0, pageSize = this.pageSize) {
+    return { ...paginate(this.results, page, pageSize), complete: this.complete }
+  }
+
+  snapshot() {
+    return {
+      results: this.results,
+      totalHits: this.totalHits,
+      hasMore: this.hasMore,
+      responses: this.responses,
+      peers: this.responders.size,
+      complete: this.complete
+    }
+  }
+
+  notify() {
+    if (!this.onUpdate) return
+    try {
+      this.onUpdate(this.snapshot())
+    } catch (error) {
+      console.warn('⚠️ Search update handler failed:', error.message)
+    }
+  }
+
+  // Stop accepting responses (deadline reached or a newer search replaced this one)
+  close() {
+    if (this.complete) return
+    clearTimeout(this.timer)
+    this.complete = true
+    this.notify()
+    this.resolveDone(this.snapshot())
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * searchRouting - Hop-limited search requests with direct responses
+ * Shared by node-server.js and the browser client
+ *
+ * Search requests go to directly connected peers with a `ttl` (hops left), an `origin`
+ * (the requester) and a `requestId`. Each peer handles a request once, answers the
+ * origin by direct message and passes it on to its other peers with `ttl - 1`, so a
+ * search reaches everything within `ttl` hops without every answer crossing the whole
+ * mesh. Responses fall back to gossip (tagged with `targetPeerId`) only when there is
+ * no route to the requester.
+ *
+ * Requests without a `ttl` (older clients broadcasting via gossip) are answered but
+ * not forwarded; gossip has already delivered them everywhere.
+ */
+
+import { createRequestId } from './rpc.js'
+
+export const SEARCH_REQUEST_TYPES = ['dataset-search-request', 'file-search-request']
+export const DEFAULT_SEARCH_TTL = 3
+
+const SEEN_EXPIRY = 60 * 1000 // Remember handled requests this long
+
+export class SearchRouter {
+  constructor(options = {}) {
+    this.getPigeon = options.getPigeon // () => PeerPigeonMesh (may not exist yet at construction)
+    this.ttl = options.ttl || DEFAULT_SEARCH_TTL
+    this.seen = new Map() // `${origin}:${requestId}` -> time first handled
+  }
+
+  get pigeon() {
+    return this.getPigeon()
+  }
+
+  connectedPeers() {
+    const peers = this.pigeon?.connectionManager?.peers
+    return peers ? Array.from(peers.keys()) : []
+  }
+
+  // Stamp and send our own search request to our direct peers (gossip if we have none).
+  // Returns the request as sent.
+  async sendRequest(message) {
+    const request = {
+      ...message,
+      requestId: message.requestId ?? createRequestId(),
+      origin: this.pigeon.peerId,
+      ttl: this.ttl,
+      hops: 0
+    }
+    this.accept(request) // Our own request coming back through the mesh is a duplicate
+
+    const peers = this.connectedPeers()
+    if (peers.length === 0) {
+      const { ttl, hops, ...legacy } = request
+      await this.pigeon.gossipManager.broadcastMessage(JSON.stringify(legacy), 'chat')
+      return request
+    }
+    await Promise.all(peers.map(peerId => this.send(peerId, request)))
+    return request
+  }
+
+  // Send a search to one peer only, e.g. to fetch the next page from it by cursor.
+  // ttl 1 so it isn't forwarded. Returns the request as sent, or null if it couldn't be.
+  async sendRequestTo(peerId, message) {
+    const request = {
+      ...message,
+      requestId: message.requestId ?? createRequestId(),
+      origin: this.pigeon.peerId,
+      ttl: 1,
+      hops: 0
+    }
+    this.accept(request)
+    return (await this.send(peerId, request)) ? request : null
+  }
+
+  // False if this request was already handled (it reached us by more than one path).
+  // Requests without a requestId (older clients) can't be told apart from a repeat search
+  // for the same thing, so they're always handled: they only arrive once, by gossip.
+  accept(request) {
+    if (request.requestId == null) return true
+
+    const now = Date.now()
+    for (const [key, seenAt] of this.seen) {
+      if (now - seenAt < SEEN_EXPIRY) break // Insertion order: the rest are newer
+      this.seen.delete(key)
+    }
+
+    const key = `${request.origin || ''}:${request.requestId}`
+    if (this.seen.has(key)) return false
+    this.seen.set(key, now)
+    return true
+  }
+
+  requester(request, fromPeerId) {
+    return request.origin || fromPeerId
+  }
+
+  // Pass a request on to our other direct peers with one hop fewer to go.
+  // Returns the number of peers it went to.
+  async forward(request, fromPeerId) {
+    if (typeof request.ttl !== 'number' || request.ttl <= 1) return 0
+
+    const next = { ...request, ttl: request.ttl - 1, hops: (request.hops || 0) + 1 }
+    const targets = this.connectedPeers().filter(peerId => peerId !== fromPeerId && peerId !== request.origin)
+    await Promise.all(targets.map(peerId => this.send(peerId, next)))
+    return targets.length
+  }
+
+  // Answer the requester directly; gossip only when there's no route to it.
+  // Returns 'direct' or 'gossip'.
+  async respond(request, fromPeerId, response) {
+    const target = this.requester(request, fromPeerId)
+    if (await this.send(target, response)) return 'direct'
+
+    await this.pigeon.gossipManager.broadcastMessage(JSON.stringify({ ...response, targetPeerId: target }), 'chat')
+    return 'gossip'
+  }
+
+  async send(peerId, message) {
+    try {
+      return await this.pigeon.sendDirectMessage(peerId, message)
+    } catch (error) {
+      console.warn(`⚠️ Failed to send ${message.type} to ${peerId.substring(0, 8)}:`, error.message)
+      return null
+    }
+  }
+}
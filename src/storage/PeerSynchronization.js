@@ -3,6 +3,9 @@
  * Implements page discovery, transfer, and conflict resolution
  */
 
+import { pickEncoding, encodeChunkFrame, decodeChunkFrame, encodeChunkPayload, decodeChunkPayload } from '../transfer/chunkFrames.js'
+import { validateMessage } from '../protocol/messages.js'
+
 export class PeerSynchronization {
   constructor(storage) {
     this.storage = storage
@@ -93,7 +96,19 @@ export class PeerSynchronization {
   
   handleMessage(message, fromPeerId) {
     try {
+      // Chunk responses may come as binary frames rather than JSON
+      const frame = decodeChunkFrame(message)
+      if (frame) {
+        this.handleChunkResponse({ ...frame.header, chunk: frame.bytes }, fromPeerId)
+        return
+      }
+      
       const data = typeof message === 'string' ? JSON.parse(message) : message
+      const { valid, errors } = validateMessage(data)
+      if (!valid) {
+        console.warn(`Ignoring invalid ${data?.type || 'message'} from ${fromPeerId}: ${errors.join(', ')}`)
+        return
+      }
       
       switch (data.type) {
         case this.MESSAGE_TYPES.PAGE_REQUEST:
@@ -488,6 +503,7 @@ export class PeerSynchronization {
       type: this.MESSAGE_TYPES.CHUNK_REQUEST,
       requestId,
       chunkId,
+      encodings: this.chunkEncodings(),
       fromPeer: this.storage.peerId,
       timestamp: Date.now()
     }
@@ -501,6 +517,11 @@ export class PeerSynchronization {
     }
   }
   
+  // Binary frames need a transport that can send raw bytes
+  chunkEncodings() {
+    return typeof this.storage.pigeon?.sendBinaryData === 'function' ? ['binary', 'base64'] : ['base64']
+  }
+  
   async handleChunkRequest(data, fromPeerId) {
     const { requestId, chunkId } = data
     
@@ -513,25 +534,35 @@ export class PeerSynchronization {
       requestId,
       chunkId,
       found: !!chunk,
-      chunk: chunk ? Array.from(chunk) : null,
+      chunk: null,
       metadata: metadata || null,
       fromPeer: this.storage.peerId,
       timestamp: Date.now()
     }
     
+    // Requesters without `encodings` predate negotiation and expect a number array
+    const encoding = pickEncoding(data.encodings, this.chunkEncodings())
+    if (chunk) {
+      const bytes = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk)
+      if (encoding === 'binary' && await this.storage.pigeon.sendBinaryData(fromPeerId, encodeChunkFrame(response, bytes))) {
+        return
+      }
+      Object.assign(response, encodeChunkPayload(bytes, encoding === 'array' ? 'array' : 'base64'))
+    }
+    
     this.storage.pigeon.sendTo(fromPeerId, JSON.stringify(response))
   }
   
   handleChunkResponse(data, fromPeerId) {
-    const { requestId, chunk } = data
+    const { requestId } = data
     const pendingRequest = this.storage.pendingRequests.get(requestId)
     
     if (pendingRequest) {
       clearTimeout(pendingRequest.timeoutId)
       this.storage.pendingRequests.delete(requestId)
       
-      // Convert array back to Uint8Array
-      const chunkData = chunk ? new Uint8Array(chunk) : null
+      // Binary frame bytes, base64 or legacy number array back to Uint8Array
+      const chunkData = decodeChunkPayload(data)
       pendingRequest.resolve({ ...data, chunk: chunkData })
     }
   }
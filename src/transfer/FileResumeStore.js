@@ -0,0 +1,215 @@
+/**
+ * FileResumeStore - Partial download persistence for Node clients
+ * Browser counterpart lives in useDataStorage.js (IndexedDB)
+ *
+ * Each download gets two files in the store directory:
+ *   <fileId>.part         - chunk data written at chunkIndex * chunkSize
+ *   <fileId>.resume.json  - resume manifest: file metadata, chunk hashes, providers
+ *                           and the indices of the chunks already on disk
+ *
+ * A chunk index is only recorded after its bytes are written, so a crash can at
+ * worst cost a re-download of chunks that were in flight. finalize() re-hashes the
+ * part file and checks it against the manifest's Merkle root before moving it.
+ */
+
+import fs from 'fs/promises'
+import fsSync from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { merkleRoot } from './chunkIntegrity.js'
+
+export class FileResumeStore {
+  constructor(dir) {
+    this.dir = dir
+    this.manifests = new Map() // fileId -> manifest with `received` as a Set
+    this.saveTimers = new Map() // fileId -> pending manifest write
+  }
+
+  partPath(fileId) {
+    return path.join(this.dir, `${fileId}.part`)
+  }
+
+  manifestPath(fileId) {
+    return path.join(this.dir, `${fileId}.resume.json`)
+  }
+
+  // Open (or create) the resume state for a download. An existing manifest is only
+  // reused if it describes the same content, otherwise the partial data is dropped.
+  async open(manifest) {
+    await fs.mkdir(this.dir, { recursive: true })
+
+    const existing = await this.load(manifest.fileId)
+    if (existing && existing.size === manifest.size && existing.merkleRoot === manifest.merkleRoot) {
+      const merged = { ...existing, ...manifest, received: existing.received }
+      this.manifests.set(manifest.fileId, merged)
+      // Anything past the end (e.g. from an interrupted earlier attempt) isn't part of the file
+      await fs.truncate(this.partPath(manifest.fileId), manifest.size).catch(() => {})
+      await this.save(manifest.fileId)
+      return merged
+    }
+
+    // Start from an empty part file so no stale bytes from an earlier download survive
+    await fs.writeFile(this.partPath(manifest.fileId), '')
+    const fresh = { ...manifest, received: new Set(), startedAt: Date.now() }
+    this.manifests.set(manifest.fileId, fresh)
+    await this.save(manifest.fileId)
+    return fresh
+  }
+
+  async load(fileId) {
+    try {
+      const data = JSON.parse(await fs.readFile(this.manifestPath(fileId), 'utf8'))
+      return { ...data, received: new Set(data.received) }
+    } catch (error) {
+      return null
+    }
+  }
+
+  // All unfinished downloads in the store directory
+  async list() {
+    let entries
+    try {
+      entries = await fs.readdir(this.dir)
+    } catch (error) {
+      return []
+    }
+    const manifests = []
+    for (const entry of entries) {
+      if (!entry.endsWith('.resume.json')) continue
+      const manifest = await this.load(entry.slice(0, -'.resume.json'.length))
+      if (manifest) manifests.push(manifest)
+    }
+    return manifests
+  }
+
+  missingChunks(fileId) {
+    const manifest = this.manifests.get(fileId)
+    if (!manifest) return []
+    const missing = []
+    for (let i = 0; i < manifest.totalChunks; i++) {
+      if (!manifest.received.has(i)) missing.push(i)
+    }
+    return missing
+  }
+
+  async writeChunk(fileId, chunkIndex, bytes) {
+    const manifest = this.manifests.get(fileId)
+    if (!manifest) {
+      throw new Error(`No open download for ${fileId}`)
+    }
+    const start = chunkIndex * manifest.chunkSize
+    const expectedLength = Math.min(manifest.chunkSize, manifest.size - start)
+    if (chunkIndex < 0 || chunkIndex >= manifest.totalChunks || bytes.length !== expectedLength) {
+      throw new Error(`Chunk ${chunkIndex} of ${fileId} has ${bytes.length} bytes, expected ${expectedLength}`)
+    }
+
+    const handle = await fs.open(this.partPath(fileId), fsSync.constants.O_WRONLY | fsSync.constants.O_CREAT)
+    try {
+      await handle.write(bytes, 0, bytes.length, start)
+    } finally {
+      await handle.close()
+    }
+
+    manifest.received.add(chunkIndex)
+    this.scheduleSave(fileId)
+    return manifest.received.size === manifest.totalChunks
+  }
+
+  async readChunk(fileId, chunkIndex) {
+    const manifest = this.manifests.get(fileId) || await this.load(fileId)
+    if (!manifest || !manifest.received.has(chunkIndex)) return null
+
+    const start = chunkIndex * manifest.chunkSize
+    const length = Math.min(manifest.chunkSize, manifest.size - start)
+    const buffer = Buffer.alloc(length)
+    const handle = await fs.open(this.partPath(fileId), 'r')
+    try {
+      await handle.read(buffer, 0, length, start)
+    } finally {
+      await handle.close()
+    }
+    return buffer
+  }
+
+  // Writing the manifest after every chunk is wasteful; batch writes once a second
+  scheduleSave(fileId) {
+    if (this.saveTimers.has(fileId)) return
+    this.saveTimers.set(fileId, setTimeout(() => {
+      this.saveTimers.delete(fileId)
+      this.save(fileId).catch(error => console.error(`Failed to save resume manifest for ${fileId}:`, error))
+    }, 1000))
+  }
+
+  async save(fileId) {
+    clearTimeout(this.saveTimers.get(fileId))
+    this.saveTimers.delete(fileId)
+
+    const manifest = this.manifests.get(fileId)
+    if (!manifest) return
+    const data = { ...manifest, received: Array.from(manifest.received), updatedAt: Date.now() }
+    const tempPath = `${this.manifestPath(fileId)}.tmp`
+    await fs.writeFile(tempPath, JSON.stringify(data))
+    await fs.rename(tempPath, this.manifestPath(fileId))
+  }
+
+  // Check the part file against the manifest, then move it to its destination and forget
+  // its resume state. Chunks that don't match their hash are dropped from `received` (so a
+  // resume fetches them again) and the promise rejects with code INTEGRITY_ERROR.
+  // Resolves with the SHA-256 of the whole file.
+  async finalize(fileId, destPath) {
+    const manifest = this.manifests.get(fileId) || await this.load(fileId)
+    if (!manifest) {
+      throw new Error(`No open download for ${fileId}`)
+    }
+    this.manifests.set(fileId, manifest)
+
+    const { hash, chunkHashes } = await this.hashPart(fileId, manifest)
+    const badChunks = chunkHashes
+      .map((chunkHash, chunkIndex) => (manifest.chunkHashes && chunkHash !== manifest.chunkHashes[chunkIndex] ? chunkIndex : -1))
+      .filter(chunkIndex => chunkIndex >= 0)
+    if (badChunks.length === 0 && await merkleRoot(chunkHashes) === manifest.merkleRoot) {
+      await fs.mkdir(path.dirname(destPath), { recursive: true })
+      await fs.rename(this.partPath(fileId), destPath)
+      await this.discard(fileId)
+      return hash
+    }
+
+    // Without per-chunk hashes there's no telling which chunk is wrong: start over
+    const dropped = manifest.chunkHashes ? badChunks : Array.from(manifest.received)
+    dropped.forEach(chunkIndex => manifest.received.delete(chunkIndex))
+    await this.save(fileId)
+    const error = new Error(`${fileId} does not match its Merkle root (${dropped.length} chunks to fetch again)`)
+    error.code = 'INTEGRITY_ERROR'
+    throw error
+  }
+
+  async hashPart(fileId, manifest) {
+    if (!fsSync.existsSync(this.partPath(fileId))) {
+      await fs.writeFile(this.partPath(fileId), '') // Empty file: no chunks were ever written
+    }
+
+    const hasher = crypto.createHash('sha256')
+    const chunkHashes = []
+    const buffer = Buffer.alloc(manifest.chunkSize)
+    const handle = await fs.open(this.partPath(fileId), 'r')
+    try {
+      for (let position = 0; position < manifest.size; position += manifest.chunkSize) {
+        const { bytesRead } = await handle.read(buffer, 0, Math.min(manifest.chunkSize, manifest.size - position), position)
+        const chunk = buffer.subarray(0, bytesRead)
+        hasher.update(chunk)
+        chunkHashes.push(crypto.createHash('sha256').update(chunk).digest('hex'))
+      }
+    } finally {
+      await handle.close()
+    }
+    return { hash: hasher.digest('hex'), chunkHashes }
+  }
+
+  async discard(fileId) {
+    clearTimeout(this.saveTimers.get(fileId))
+    this.saveTimers.delete(fileId)
+    this.manifests.delete(fileId)
+    await fs.unlink(this.partPath(fileId)).catch(() => {})
+    await fs.unlink(this.manifestPath(fileId)).catch(() => {})
+  }
+}
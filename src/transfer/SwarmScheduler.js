@@ -0,0 +1,281 @@
+/**
+ * SwarmScheduler - Multi-source chunk download scheduling
+ * Transport-agnostic: used by App.vue and usable from Node clients
+ *
+ * The caller supplies requestChunk(peerId, chunkIndex) and reports back with
+ * chunkReceived() / chunkFailed(). The scheduler decides who gets asked for what:
+ * - Each peer has a bounded in-flight window that grows by one on every delivered
+ *   chunk and halves on a timeout (AIMD), so fast peers end up carrying more load
+ * - Peers are filled in order of measured throughput (EWMA of bytes/sec)
+ * - Every request has a timeout; timed-out chunks go back to the front of the queue
+ *   and a peer that keeps timing out is dropped
+ * - Once the queue is empty, chunks still outstanding on slow peers are duplicated to
+ *   idle faster peers (first copy wins)
+ *
+ * Example:
+ *   const scheduler = new SwarmScheduler({
+ *     chunks: [0, 1, 2, 3],
+ *     peers: ['peerA', 'peerB'],
+ *     requestChunk: (peerId, chunkIndex) => sendDirectMessage(peerId, { type: 'file-chunk-request', fileId, chunkIndex }),
+ *     onComplete: () => assemble(),
+ *     onStalled: (missing) => console.warn('No peers left for', missing)
+ *   })
+ *   scheduler.start()
+ *   // on each verified chunk: scheduler.chunkReceived(chunkIndex, fromPeerId, bytes.length)
+ */
+
+export class SwarmScheduler {
+  constructor(options = {}) {
+    this.requestChunk = options.requestChunk
+    this.onComplete = options.onComplete || (() => {})
+    this.onStalled = options.onStalled || (() => {})
+
+    // Configuration
+    this.initialWindow = options.initialWindow || 4
+    this.maxWindow = options.maxWindow || 32
+    this.chunkTimeout = options.chunkTimeout || 15000
+    this.maxPeerTimeouts = options.maxPeerTimeouts || 3 // Consecutive timeouts before a peer is dropped
+    this.stragglerFactor = options.stragglerFactor || 3 // Outstanding this many times the peer's expected chunk time
+
+    this.queue = Array.from(options.chunks || [])
+    this.total = this.queue.length
+    this.completed = new Set()
+    this.inFlight = new Map() // chunkIndex -> Map(peerId -> { sentAt, timer })
+    this.peers = new Map() // peerId -> peer stats
+    this.running = false
+
+    for (const peerId of options.peers || []) {
+      this.addPeer(peerId)
+    }
+  }
+
+  start() {
+    this.running = true
+    // Nothing to fetch (an empty file, or every chunk already on disk)
+    if (this.total === 0) {
+      this.stop()
+      this.onComplete()
+      return this
+    }
+    this.pump()
+    return this
+  }
+
+  stop() {
+    this.running = false
+    clearInterval(this.stragglerTimer)
+    this.stragglerTimer = null
+    for (const assignments of this.inFlight.values()) {
+      for (const { timer } of assignments.values()) {
+        clearTimeout(timer)
+      }
+    }
+    this.inFlight.clear()
+  }
+
+  addPeer(peerId) {
+    if (this.peers.has(peerId)) return
+    this.peers.set(peerId, {
+      window: this.initialWindow,
+      inFlight: new Set(),
+      throughput: 0, // bytes/sec, EWMA
+      avgChunkTime: 0, // ms, EWMA
+      timeouts: 0,
+      delivered: 0
+    })
+    if (this.running) this.pump()
+  }
+
+  // Drop a peer (left the network, sent bad data); its outstanding chunks are requeued
+  removePeer(peerId) {
+    const peer = this.peers.get(peerId)
+    if (!peer) return
+    this.peers.delete(peerId)
+
+    for (const chunkIndex of peer.inFlight) {
+      this.cancelAssignment(chunkIndex, peerId)
+      if (!this.inFlight.has(chunkIndex)) {
+        this.queue.unshift(chunkIndex)
+      }
+    }
+    if (this.running) this.pump()
+  }
+
+  // Report a delivered chunk. Returns false for chunks that weren't outstanding
+  // (duplicates from straggler reassignment, late replies after a timeout).
+  chunkReceived(chunkIndex, peerId, bytes) {
+    if (this.completed.has(chunkIndex)) return false
+
+    const assignments = this.inFlight.get(chunkIndex)
+    const assignment = assignments?.get(peerId)
+    const peer = this.peers.get(peerId)
+
+    if (assignment && peer) {
+      const elapsed = Math.max(1, Date.now() - assignment.sentAt)
+      const rate = (bytes * 1000) / elapsed
+      peer.throughput = peer.throughput ? 0.7 * peer.throughput + 0.3 * rate : rate
+      peer.avgChunkTime = peer.avgChunkTime ? 0.7 * peer.avgChunkTime + 0.3 * elapsed : elapsed
+      peer.window = Math.min(this.maxWindow, peer.window + 1)
+      peer.timeouts = 0
+      peer.delivered++
+    }
+
+    // Accept the chunk whoever sent it (a late reply is still good data) and cancel any duplicates
+    if (assignments) {
+      for (const otherPeerId of Array.from(assignments.keys())) {
+        this.cancelAssignment(chunkIndex, otherPeerId)
+      }
+    }
+    const queued = this.queue.indexOf(chunkIndex)
+    if (queued !== -1) this.queue.splice(queued, 1)
+    this.completed.add(chunkIndex)
+
+    if (this.completed.size === this.total) {
+      this.stop()
+      this.onComplete()
+      return true
+    }
+    this.pump()
+    return true
+  }
+
+  // Report a chunk that arrived but was unusable (e.g. failed its hash check)
+  chunkFailed(chunkIndex, peerId) {
+    this.cancelAssignment(chunkIndex, peerId)
+    if (!this.completed.has(chunkIndex) && !this.inFlight.has(chunkIndex) && !this.queue.includes(chunkIndex)) {
+      this.queue.unshift(chunkIndex)
+    }
+    this.removePeer(peerId)
+    if (this.running) this.pump()
+  }
+
+  get missing() {
+    return this.queue.concat(Array.from(this.inFlight.keys()))
+  }
+
+  stats() {
+    return {
+      total: this.total,
+      completed: this.completed.size,
+      queued: this.queue.length,
+      inFlight: this.inFlight.size,
+      peers: Array.from(this.peers.entries()).map(([peerId, peer]) => ({
+        peerId,
+        window: peer.window,
+        inFlight: peer.inFlight.size,
+        throughput: Math.round(peer.throughput),
+        delivered: peer.delivered
+      }))
+    }
+  }
+
+  // ===== INTERNALS =====
+
+  // Fastest peers first; peers without measurements yet sort after measured ones
+  rankedPeers() {
+    return Array.from(this.peers.entries()).sort((a, b) => b[1].throughput - a[1].throughput)
+  }
+
+  pump() {
+    if (!this.running) return
+
+    if (this.peers.size === 0) {
+      // Nothing to do until addPeer(); don't keep a Node process alive meanwhile
+      clearInterval(this.stragglerTimer)
+      this.stragglerTimer = null
+      if (this.completed.size < this.total) {
+        this.onStalled(this.missing)
+      }
+      return
+    }
+
+    // Stragglers are also checked between events, when nothing else would trigger a pump
+    if (!this.stragglerTimer) {
+      this.stragglerTimer = setInterval(() => {
+        if (this.queue.length === 0) this.reassignStragglers()
+      }, 250)
+    }
+
+    for (const [peerId, peer] of this.rankedPeers()) {
+      while (this.queue.length > 0 && peer.inFlight.size < peer.window) {
+        this.assign(this.queue.shift(), peerId)
+      }
+    }
+
+    if (this.queue.length === 0) {
+      this.reassignStragglers()
+    }
+  }
+
+  assign(chunkIndex, peerId) {
+    const peer = this.peers.get(peerId)
+    const timer = setTimeout(() => this.handleTimeout(chunkIndex, peerId), this.chunkTimeout)
+
+    if (!this.inFlight.has(chunkIndex)) {
+      this.inFlight.set(chunkIndex, new Map())
+    }
+    this.inFlight.get(chunkIndex).set(peerId, { sentAt: Date.now(), timer })
+    peer.inFlight.add(chunkIndex)
+
+    Promise.resolve()
+      .then(() => this.requestChunk(peerId, chunkIndex))
+      .catch(error => {
+        console.warn(`⚠️ Chunk request ${chunkIndex} to ${peerId.substring(0, 8)} failed:`, error.message)
+        this.handleTimeout(chunkIndex, peerId)
+      })
+  }
+
+  cancelAssignment(chunkIndex, peerId) {
+    const assignments = this.inFlight.get(chunkIndex)
+    const assignment = assignments?.get(peerId)
+    if (assignment) {
+      clearTimeout(assignment.timer)
+      assignments.delete(peerId)
+      if (assignments.size === 0) this.inFlight.delete(chunkIndex)
+    }
+    this.peers.get(peerId)?.inFlight.delete(chunkIndex)
+  }
+
+  handleTimeout(chunkIndex, peerId) {
+    if (!this.running || !this.inFlight.get(chunkIndex)?.has(peerId)) return
+
+    this.cancelAssignment(chunkIndex, peerId)
+    if (!this.inFlight.has(chunkIndex)) {
+      this.queue.unshift(chunkIndex)
+    }
+
+    const peer = this.peers.get(peerId)
+    if (peer) {
+      peer.window = Math.max(1, Math.floor(peer.window / 2))
+      peer.timeouts++
+      if (peer.timeouts >= this.maxPeerTimeouts) {
+        console.warn(`⚠️ Dropping peer ${peerId.substring(0, 8)} after ${peer.timeouts} consecutive timeouts`)
+        this.removePeer(peerId)
+        return
+      }
+    }
+    this.pump()
+  }
+
+  // Endgame: duplicate chunks stuck on slow peers onto idle peers that have proven faster
+  reassignStragglers() {
+    const now = Date.now()
+    const idlePeers = this.rankedPeers().filter(([, peer]) => peer.inFlight.size < peer.window && peer.delivered > 0)
+    if (idlePeers.length === 0) return
+
+    for (const [chunkIndex, assignments] of this.inFlight) {
+      if (assignments.size > 1) continue // Already duplicated
+
+      const [[slowPeerId, { sentAt }]] = assignments
+      const slowPeer = this.peers.get(slowPeerId)
+      const target = idlePeers.find(([peerId, peer]) =>
+        peerId !== slowPeerId && peer.inFlight.size < peer.window && peer.throughput > (slowPeer?.throughput || 0))
+      if (!target) continue
+
+      // A peer with no deliveries yet is judged against the faster peer's chunk time
+      const expected = slowPeer?.avgChunkTime || target[1].avgChunkTime
+      if (now - sentAt < expected * this.stragglerFactor) continue
+      this.assign(chunkIndex, target[0])
+    }
+  }
+}
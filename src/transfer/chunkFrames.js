@@ -0,0 +1,112 @@
+/**
+ * chunkFrames - Chunk encodings for the wire
+ * Shared by node-server.js, the browser client and PeerSynchronization
+ *
+ * Three encodings, in order of preference:
+ * - binary: a framed message sent as raw bytes over the data channel
+ *     'PFSC' magic (4) | version (1) | header length, uint32 BE (4) | JSON header | chunk bytes
+ * - base64: the usual JSON message with `chunk` as a base64 string and `encoding: 'base64'`
+ * - array:  the legacy JSON message with `chunk` as a number array (~4x the size)
+ *
+ * Negotiation is by the receiver: requests carry `encodings` (what the requester can
+ * decode) and the sender picks the best one it can use. Peers that predate this send
+ * no `encodings` and get the legacy array form; their legacy replies still decode here.
+ */
+
+export const CHUNK_ENCODINGS = ['binary', 'base64']
+
+const MAGIC = [0x50, 0x46, 0x53, 0x43] // 'PFSC'
+const FRAME_VERSION = 1
+const PREFIX_LENGTH = MAGIC.length + 1 + 4
+
+// Best encoding both sides support; 'array' when the peer didn't say (old client)
+export function pickEncoding(accepted, available = CHUNK_ENCODINGS) {
+  if (!Array.isArray(accepted)) return 'array'
+  return available.find(encoding => accepted.includes(encoding)) || 'array'
+}
+
+export function encodeChunkFrame(header, bytes) {
+  const headerBytes = new TextEncoder().encode(JSON.stringify(header))
+  // A fresh buffer: data channels send the whole underlying ArrayBuffer of a view
+  const frame = new Uint8Array(PREFIX_LENGTH + headerBytes.length + bytes.length)
+  frame.set(MAGIC, 0)
+  frame[MAGIC.length] = FRAME_VERSION
+  new DataView(frame.buffer).setUint32(MAGIC.length + 1, headerBytes.length)
+  frame.set(headerBytes, PREFIX_LENGTH)
+  frame.set(bytes, PREFIX_LENGTH + headerBytes.length)
+  return frame
+}
+
+export function isChunkFrame(data) {
+  if (!(data instanceof ArrayBuffer) && !ArrayBuffer.isView(data)) return false
+  const bytes = toBytes(data)
+  return bytes.length >= PREFIX_LENGTH && MAGIC.every((b, i) => bytes[i] === b)
+}
+
+// Returns { header, bytes } or null when the data isn't a well-formed chunk frame
+// (frames come from any peer, so a bad header is dropped rather than thrown)
+export function decodeChunkFrame(data) {
+  if (!isChunkFrame(data)) return null
+  const bytes = toBytes(data)
+  if (bytes[MAGIC.length] !== FRAME_VERSION) return null
+
+  const headerLength = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(MAGIC.length + 1)
+  const bodyStart = PREFIX_LENGTH + headerLength
+  if (bodyStart > bytes.length) return null
+
+  let header
+  try {
+    header = JSON.parse(new TextDecoder().decode(bytes.subarray(PREFIX_LENGTH, bodyStart)))
+  } catch {
+    return null
+  }
+  if (!header || typeof header !== 'object' || Array.isArray(header) || typeof header.type !== 'string') return null
+  return { header, bytes: bytes.subarray(bodyStart) }
+}
+
+// JSON-safe form of a chunk for the base64 and legacy encodings
+export function encodeChunkPayload(bytes, encoding) {
+  if (encoding === 'base64') {
+    return { chunk: bytesToBase64(bytes), encoding: 'base64' }
+  }
+  return { chunk: Array.from(bytes) }
+}
+
+// Chunk bytes from a JSON message in any encoding (or one rebuilt from a binary frame)
+export function decodeChunkPayload(message) {
+  const { chunk, encoding } = message
+  if (chunk == null) return null
+  if (encoding === 'base64') return base64ToBytes(chunk)
+  if (chunk instanceof Uint8Array) return chunk
+  return new Uint8Array(chunk)
+}
+
+export function bytesToBase64(bytes) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64')
+  }
+  // String.fromCharCode.apply has an argument limit, so convert in slices
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+export function base64ToBytes(base64) {
+  if (typeof Buffer !== 'undefined') {
+    return new Uint8Array(Buffer.from(base64, 'base64'))
+  }
+  const binary = atob(base64)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+function toBytes(data) {
+  if (data instanceof Uint8Array) return data
+  if (data instanceof ArrayBuffer) return new Uint8Array(data)
+  return new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+}
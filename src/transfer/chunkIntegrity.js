@@ -0,0 +1,58 @@
+/**
+ * chunkIntegrity - Per-chunk hashes and Merkle roots for file transfers
+ * Shared by node-server.js and the browser client
+ *
+ * Files are split into fixed 64KB chunks. Each chunk is hashed with SHA-256 and the
+ * chunk hashes are folded pairwise into a Merkle root, which is published with the
+ * file metadata. Downloaders fetch the chunk-hash list (the "manifest"), check it
+ * against the root, then verify every chunk as it arrives.
+ */
+
+export const CHUNK_SIZE = 64 * 1024
+
+const toHex = (bytes) => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('')
+
+export async function sha256Hex(data) {
+  const bytes = typeof data === 'string'
+    ? new TextEncoder().encode(data)
+    : data instanceof Uint8Array ? data : new Uint8Array(data)
+
+  // Prefer Web Crypto API when available
+  if (globalThis.crypto && globalThis.crypto.subtle && globalThis.crypto.subtle.digest) {
+    const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes)
+    return toHex(new Uint8Array(digest))
+  }
+  // Node.js fallback
+  const { createHash } = await import('crypto')
+  return createHash('sha256').update(bytes).digest('hex')
+}
+
+// Parent = SHA-256 of the two child hex strings concatenated; an odd node is promoted as-is
+export async function merkleRoot(chunkHashes) {
+  if (!chunkHashes || chunkHashes.length === 0) {
+    return sha256Hex('')
+  }
+
+  let level = chunkHashes.slice()
+  while (level.length > 1) {
+    const next = []
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? await sha256Hex(level[i] + level[i + 1]) : level[i])
+    }
+    level = next
+  }
+  return level[0]
+}
+
+export async function verifyChunk(bytes, expectedHash) {
+  if (!expectedHash) return false
+  return (await sha256Hex(bytes)) === expectedHash
+}
+
+export async function verifyManifest(manifest, expectedRoot) {
+  if (!manifest || !Array.isArray(manifest.chunkHashes)) return false
+  const expectedChunks = Math.ceil((manifest.size || 0) / (manifest.chunkSize || CHUNK_SIZE))
+  if (manifest.chunkHashes.length !== expectedChunks) return false
+  const root = await merkleRoot(manifest.chunkHashes)
+  return root === (expectedRoot || manifest.merkleRoot)
+}
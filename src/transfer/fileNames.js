@@ -0,0 +1,83 @@
+/**
+ * fileNames - Validation for file names supplied by other peers
+ * Shared by node-server.js and the Electron main process
+ *
+ * Every ingest path (P2P chunk uploads, stream uploads, HTTP PUT, Electron IPC) takes
+ * its file name from the other side. sanitizeFileName() turns it into a safe single
+ * path segment or throws a FileNameError, resolveInside() is the last check before
+ * touching the disk, and availableFileName() picks "name (1).ext" instead of
+ * overwriting an existing file.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+
+export const MAX_FILENAME_BYTES = 255
+
+// Device names Windows refuses as file names, with or without an extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i
+
+export class FileNameError extends Error {
+  constructor(message, reason) {
+    super(message)
+    this.name = 'FileNameError'
+    this.code = 'INVALID_FILENAME'
+    this.reason = reason // 'empty' | 'path-traversal'
+  }
+}
+
+export function sanitizeFileName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new FileNameError('File name is empty', 'empty')
+  }
+  if (/[/\\]/.test(name) || name === '.' || name === '..') {
+    throw new FileNameError(`File name must not contain path separators: ${JSON.stringify(name)}`, 'path-traversal')
+  }
+
+  let clean = name.normalize('NFC')
+    .replace(/[\u0000-\u001f\u007f]/g, '') // Control characters
+    .replace(/[<>:"|?*]/g, '_') // Reserved on Windows
+    .replace(/^[.\s]+/, '') // No hidden files
+    .replace(/[.\s]+$/, '') // Windows drops trailing dots and spaces
+
+  if (!clean) {
+    throw new FileNameError(`File name has no usable characters: ${JSON.stringify(name)}`, 'empty')
+  }
+  if (RESERVED_NAMES.test(clean)) {
+    clean = `_${clean}`
+  }
+
+  // Trim the base name (never the extension) to fit common filesystem limits
+  const ext = path.extname(clean)
+  let base = clean.slice(0, clean.length - ext.length)
+  while (Buffer.byteLength(base + ext) > MAX_FILENAME_BYTES && base.length > 1) {
+    base = base.slice(0, -1)
+  }
+  return base + ext
+}
+
+// Absolute path of `name` inside `dir`; throws if it would land anywhere else
+export function resolveInside(dir, name) {
+  const root = path.resolve(dir)
+  const target = path.resolve(root, name)
+  if (!target.startsWith(root + path.sep)) {
+    throw new FileNameError(`Path escapes ${root}: ${JSON.stringify(name)}`, 'path-traversal')
+  }
+  return target
+}
+
+// First of "name.ext", "name (1).ext", "name (2).ext", ... that doesn't exist in `dir`
+export async function availableFileName(dir, name) {
+  const ext = path.extname(name)
+  const base = name.slice(0, name.length - ext.length)
+
+  for (let n = 0; ; n++) {
+    const candidate = n === 0 ? name : `${base} (${n})${ext}`
+    try {
+      await fs.access(path.join(dir, candidate))
+    } catch (error) {
+      if (error.code === 'ENOENT') return candidate
+      throw error
+    }
+  }
+}
@@ -78,9 +78,9 @@ console.log('Test 5: Indexed Search for "God"');
 console.time('   Search time');
 const results4 = Book.searchIndex(index, 'God', { maxResults: 10 });
 console.timeEnd('   Search time');
-console.log(`   Found ${results4.length} results:`);
+console.log(`   Found ${results4.length} results (best BM25 score first):`);
 results4.forEach(r => {
-    console.log(`   - ${r.key}: ${r.value.substring(0, 50)}...`);
+    console.log(`   - ${r.key} (${r.score.toFixed(3)}): ${r.value.substring(0, 50)}...`);
 });
 console.log();
 
@@ -95,8 +95,105 @@ results5.forEach(r => {
 });
 console.log();
 
-// Test 7: Performance comparison
-console.log('Test 7: Performance Comparison (search for "the")');
+// Test 7: Paged indexed search
+console.log('Test 7: Paged Indexed Search for "the" (3 per page)');
+let page = Book.searchIndex(index, 'the', { maxResults: 3 });
+console.log(`   ${page.total} hits in total`);
+while (page.length > 0) {
+    console.log(`   Page at ${page.offset}: ${page.map(r => r.key).join(', ')}`);
+    if (!page.cursor) break;
+    page = Book.searchIndex(index, 'the', { maxResults: 3, cursor: page.cursor });
+}
+console.log();
+
+// Test 8: Phrase and proximity search
+console.log('Test 8: Phrase and NEAR Search');
+['"all things work together"', '"things all work"', 'love NEAR/2 patient', 'God NEAR/2 loved'].forEach(query => {
+    const results = Book.searchIndex(index, query);
+    console.log(`   ${query}: ${results.map(r => r.key).join(', ') || 'no results'}`);
+});
+console.log();
+
+// Test 9: Boolean queries
+console.log('Test 9: Boolean Queries');
+['God OR shepherd', 'God -loved', '(love OR lord) NOT God', 'key:john', 'peace*'].forEach(query => {
+    const results = Book.searchIndex(index, query);
+    console.log(`   ${query}: ${results.map(r => r.key).join(', ') || 'no results'}`);
+});
+console.log(`   Parsed: ${JSON.stringify(Book.parseQuery('God -loved'))}`);
+console.log('');
+
+// Test 10: Fuzzy search
+console.log('Test 10: Fuzzy Search');
+console.log(`   Close to "shepard": ${Book.fuzzy(index, 'shepard').map(v => `${v.word} (${v.edits})`).join(', ')}`);
+['shepard', 'lvoe God'].forEach(query => {
+    const results = Book.searchIndex(index, query, { fuzzy: true });
+    console.log(`   ${query}: ${results.map(r => r.key + (r.fuzzy ? ' (fuzzy)' : '')).join(', ') || 'no results'}`);
+});
+console.log('');
+
+// Test 11: Analyzers
+console.log('Test 11: Stemming, Stop Words and Unicode');
+const analyzed = Book.index(testBook, { tokenizer: 'unicode', stemmer: 'porter', stopWords: 'english' });
+console.log(`   Index contains ${Object.keys(analyzed).length} unique stems`);
+['loving', 'the', 'blessing'].forEach(query => {
+    const results = Book.searchIndex(analyzed, query);
+    console.log(`   ${query}: ${results.map(r => r.key).join(', ') || 'no results'}`);
+});
+const unicodeBook = Book();
+unicodeBook('Genèse 1:1', 'Au commencement, Dieu créa les cieux et la terre.');
+unicodeBook('Бытие 1:1', 'В начале сотворил Бог небо и землю.');
+unicodeBook('创世记 1:1', '起初，神创造天地。');
+const unicodeIndex = Book.index(unicodeBook, { tokenizer: 'unicode', ngrams: 2 });
+['créa', 'бог', '天地'].forEach(query => {
+    console.log(`   ${query}: ${Book.searchIndex(unicodeIndex, query).map(r => r.key).join(', ') || 'no results'}`);
+});
+console.log('');
+
+// Test 12: Serialized index
+console.log('Test 12: Serialized Index');
+const stored = JSON.stringify(Book.serializeIndex(analyzed));
+const loaded = Book.loadIndex(stored);
+console.log(`   ${stored.length} bytes serialized, ${JSON.stringify(analyzed).length} as plain JSON`);
+['loving', '"good shepherd"', 'God -loved'].forEach(query => {
+    const same = JSON.stringify(Book.searchIndex(loaded, query)) === JSON.stringify(Book.searchIndex(analyzed, query));
+    console.log(`   ${query}: ${same ? 'same results' : 'DIFFERENT results'} after loading`);
+});
+console.log('');
+
+// Test 13: Incremental updates
+console.log('Test 13: Incremental Index Updates');
+const updated = Book.index(testBook);
+Book.searchIndex(updated, 'God'); // Works out the ranking stats, which must now stay current
+updated.add('John 3:17', 'For God sent not his Son into the world to condemn the world');
+updated.update('Psalm 23:1', 'The LORD is my shepherd');
+updated.remove('Genesis 1:1');
+const rebuilt = Book();
+Object.keys(testData).filter(key => key !== 'Genesis 1:1').forEach(key => rebuilt(key, testData[key]));
+rebuilt('John 3:17', 'For God sent not his Son into the world to condemn the world');
+rebuilt('Psalm 23:1', 'The LORD is my shepherd');
+const fresh = Book.index(rebuilt);
+['God', 'shepherd', 'condemn', 'beginning'].forEach(query => {
+    const results = Book.searchIndex(updated, query);
+    const same = JSON.stringify(results.map(r => [r.key, r.score.toFixed(6)]).sort()) === JSON.stringify(Book.searchIndex(fresh, query).map(r => [r.key, r.score.toFixed(6)]).sort());
+    console.log(`   ${query}: ${results.map(r => r.key).join(', ') || 'no results'}${same ? '' : ' (DIFFERENT from a fresh index)'}`);
+});
+console.log('');
+
+// Test 14: Removing entries
+console.log('Test 14: Removing Entries');
+const paged = Book();
+paged.PAGE = 256; // Small pages, so they split and merge
+for (let i = 0; i < 100; i++) { paged(`Verse ${i}`, `Text of verse number ${i}`) }
+console.log(`   100 entries on ${paged.list.length} pages`);
+for (let i = 0; i < 90; i++) { paged.remove(`Verse ${i}`) }
+console.log(`   10 entries left on ${paged.list.length} pages`);
+console.log(`   Verse 5: ${paged('Verse 5') || 'removed'}, Verse 95: ${paged('Verse 95')}`);
+console.log(`   Indexed search for "number": ${Book.searchIndex(Book.index(paged), 'number').length} results`);
+console.log('');
+
+// Test 15: Performance comparison
+console.log('Test 15: Performance Comparison (search for "the")');
 console.time('   Full-text search');
 Book.search(testBook, 'the', { maxResults: 100 });
 console.timeEnd('   Full-text search');